@@ -0,0 +1,328 @@
+/**
+ * admin.js – Staff administration for LePlay
+ *
+ * Lets managers pair queue displays with a zone and revoke them, choose how
+ * each zone's screens name children (see queue-privacy.js), and owners end
+ * every session of a staff account (see revokeUserSessions in auth.js).
+ *
+ * API: POST /api/v1/devices/pairing-codes { zoneId } -> { success, code, expiresAt }
+ *      GET  /api/v1/devices -> { success, devices: [{ id, name, zoneId, pairedAt, lastSeenAt }] }
+ *      POST /api/v1/devices/{id}/revoke -> { success }
+ *      POST /api/v1/zones/{zoneId}/name-policy { namePolicy } -> { success }
+ *      POST /api/v1/auth/sessions/revoke { username } -> { success, revoked }
+ */
+
+const ZONES_ADMIN_API_URL = 'https://www.littleengineersplayground.com/api/v1/zones';
+
+// A display can also be paired with every zone, for the entrance wall
+const WALL_PAIRING_OPTION = { value: ALL_ZONES_ID, label: 'All zones (entrance wall)' };
+
+// State
+let pairingExpiryTimerId = null;
+
+// DOM Elements
+const pairingForm = document.getElementById('pairingForm');
+const pairingZoneSelect = document.getElementById('pairingZone');
+const pairingBtn = document.getElementById('pairingBtn');
+const pairingResult = document.getElementById('pairingResult');
+const pairingCodeEl = document.getElementById('pairingCode');
+const pairingExpiryEl = document.getElementById('pairingExpiry');
+const pairingStatus = document.getElementById('pairingStatus');
+const deviceList = document.getElementById('deviceList');
+const namePolicyList = document.getElementById('namePolicyList');
+const namePolicyStatus = document.getElementById('namePolicyStatus');
+const revokeForm = document.getElementById('revokeForm');
+const revokeUsernameInput = document.getElementById('revokeUsername');
+const revokeBtn = document.getElementById('revokeBtn');
+const revokeStatus = document.getElementById('revokeStatus');
+
+// Event Listeners
+document.addEventListener('DOMContentLoaded', () => {
+  pairingForm.addEventListener('submit', handleGeneratePairingCode);
+  revokeForm.addEventListener('submit', handleRevoke);
+
+  // Zones from the catalog (see zones.js); the saved list first, then the latest
+  populateZoneSelect(pairingZoneSelect, [WALL_PAIRING_OPTION]);
+  renderNamePolicies();
+  loadZoneCatalog().then(() => {
+    populateZoneSelect(pairingZoneSelect, [WALL_PAIRING_OPTION]);
+    renderNamePolicies();
+  });
+
+  loadDevices();
+});
+
+/**
+ * Human-readable zone name for a zone ID
+ * @param {string} zoneId
+ * @returns {string}
+ */
+function getZoneLabel(zoneId) {
+  return zoneId === ALL_ZONES_ID ? WALL_PAIRING_OPTION.label : getZoneName(zoneId);
+}
+
+/**
+ * Request a one-time pairing code for the selected zone
+ * @param {Event} e
+ */
+async function handleGeneratePairingCode(e) {
+  e.preventDefault();
+
+  try {
+    pairingBtn.disabled = true;
+    pairingStatus.style.display = 'none';
+
+    const response = await authFetch(`${DEVICES_API_URL}/pairing-codes`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ zoneId: pairingZoneSelect.value })
+    });
+
+    if (!response.ok) {
+      throw new Error(`API returned ${response.status}: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    if (!data || !data.success || !data.code) {
+      throw new Error((data && data.message) || 'No code returned');
+    }
+
+    showPairingCode(data.code, new Date(data.expiresAt));
+  } catch (error) {
+    console.error('Error generating pairing code:', error);
+    showStatus(pairingStatus, 'error', `Failed to generate pairing code: ${error.message}`);
+  } finally {
+    pairingBtn.disabled = false;
+  }
+}
+
+/**
+ * Display a pairing code with a live countdown until it expires
+ * @param {string} code
+ * @param {Date} expiresAt
+ */
+function showPairingCode(code, expiresAt) {
+  if (pairingExpiryTimerId) {
+    clearInterval(pairingExpiryTimerId);
+  }
+
+  const zoneName = getZoneLabel(pairingZoneSelect.value);
+  pairingCodeEl.textContent = code;
+  pairingResult.style.display = 'block';
+
+  const tick = () => {
+    const remaining = Math.max(0, Math.round((expiresAt.getTime() - Date.now()) / 1000));
+    if (remaining === 0 || isNaN(remaining)) {
+      clearInterval(pairingExpiryTimerId);
+      pairingExpiryTimerId = null;
+      pairingResult.style.display = 'none';
+      // The code may have been used while it was on screen
+      loadDevices();
+      return;
+    }
+    const minutes = Math.floor(remaining / 60);
+    const seconds = String(remaining % 60).padStart(2, '0');
+    pairingExpiryEl.textContent = `For ${zoneName} · expires in ${minutes}:${seconds}`;
+  };
+
+  tick();
+  pairingExpiryTimerId = setInterval(tick, 1000);
+}
+
+/**
+ * Load and render the list of paired displays
+ */
+async function loadDevices() {
+  try {
+    const response = await authFetch(DEVICES_API_URL);
+
+    if (!response.ok) {
+      throw new Error(`API returned ${response.status}: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    renderDevices((data && data.devices) || []);
+  } catch (error) {
+    console.error('Error loading devices:', error);
+    deviceList.innerHTML = '<div class="empty-state">Unable to load paired displays</div>';
+  }
+}
+
+/**
+ * Render one row per paired display
+ * @param {Array<Object>} devices
+ */
+function renderDevices(devices) {
+  deviceList.innerHTML = '';
+
+  if (devices.length === 0) {
+    deviceList.innerHTML = '<div class="empty-state">No displays paired yet</div>';
+    return;
+  }
+
+  devices.forEach(device => {
+    const row = document.createElement('div');
+    row.className = 'device-row';
+
+    const info = document.createElement('div');
+    info.className = 'device-info';
+
+    const name = document.createElement('div');
+    name.className = 'device-name';
+    name.textContent = device.name || 'Queue display';
+
+    const detail = document.createElement('div');
+    detail.className = 'device-detail';
+    const parts = [getZoneLabel(device.zoneId)];
+    if (device.pairedAt) parts.push(`Paired ${new Date(device.pairedAt).toLocaleString()}`);
+    if (device.lastSeenAt) parts.push(`Last seen ${new Date(device.lastSeenAt).toLocaleString()}`);
+    detail.textContent = parts.join(' · ');
+
+    info.appendChild(name);
+    info.appendChild(detail);
+
+    const revokeDeviceBtn = document.createElement('button');
+    revokeDeviceBtn.type = 'button';
+    revokeDeviceBtn.className = 'btn danger';
+    revokeDeviceBtn.textContent = 'Revoke';
+    revokeDeviceBtn.addEventListener('click', () => handleRevokeDevice(device, revokeDeviceBtn));
+
+    row.appendChild(info);
+    row.appendChild(revokeDeviceBtn);
+    deviceList.appendChild(row);
+  });
+}
+
+/**
+ * Revoke a display's credential; the screen returns to the pairing page
+ * @param {Object} device
+ * @param {HTMLButtonElement} button
+ */
+async function handleRevokeDevice(device, button) {
+  if (!confirm(`Revoke "${device.name || 'Queue display'}"? It will need a new pairing code.`)) return;
+
+  try {
+    button.disabled = true;
+
+    const response = await authFetch(`${DEVICES_API_URL}/${encodeURIComponent(device.id)}/revoke`, {
+      method: 'POST'
+    });
+
+    if (!response.ok) {
+      throw new Error(`API returned ${response.status}: ${response.statusText}`);
+    }
+
+    showStatus(pairingStatus, 'success', `Revoked ${device.name || 'queue display'}.`);
+    loadDevices();
+  } catch (error) {
+    console.error('Error revoking device:', error);
+    showStatus(pairingStatus, 'error', `Failed to revoke display: ${error.message}`);
+    button.disabled = false;
+  }
+}
+
+/**
+ * One row per zone with its name policy
+ */
+function renderNamePolicies() {
+  namePolicyList.innerHTML = '';
+
+  getZones().forEach(zone => {
+    const row = document.createElement('div');
+    row.className = 'device-row';
+
+    const name = document.createElement('div');
+    name.className = 'device-info device-name';
+    name.textContent = zone.icon ? `${zone.icon} ${zone.name}` : zone.name;
+
+    const select = document.createElement('select');
+    Object.entries(NAME_POLICIES).forEach(([value, label]) => {
+      select.appendChild(new Option(label, value));
+    });
+    select.value = getZoneNamePolicy(zone.id);
+    select.addEventListener('change', () => handleNamePolicyChange(zone, select));
+
+    row.appendChild(name);
+    row.appendChild(select);
+    namePolicyList.appendChild(row);
+  });
+}
+
+/**
+ * Save a zone's name policy
+ * @param {Object} zone
+ * @param {HTMLSelectElement} select
+ */
+async function handleNamePolicyChange(zone, select) {
+  const namePolicy = select.value;
+  const previous = getZoneNamePolicy(zone.id);
+
+  try {
+    select.disabled = true;
+
+    const response = await authFetch(`${ZONES_ADMIN_API_URL}/${encodeURIComponent(zone.id)}/name-policy`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ namePolicy })
+    });
+
+    if (!response.ok) {
+      throw new Error(`API returned ${response.status}: ${response.statusText}`);
+    }
+
+    updateCachedZone(zone.id, { namePolicy });
+    showStatus(namePolicyStatus, 'success', `${zone.name} screens now show: ${NAME_POLICIES[namePolicy]}.`);
+  } catch (error) {
+    console.error('Error saving name policy:', error);
+    showStatus(namePolicyStatus, 'error', `Failed to save name policy: ${error.message}`);
+    select.value = previous;
+  } finally {
+    select.disabled = false;
+  }
+}
+
+/**
+ * Revoke all sessions of the entered user
+ * @param {Event} e
+ */
+async function handleRevoke(e) {
+  e.preventDefault();
+
+  const username = revokeUsernameInput.value.trim();
+  if (!username) return;
+
+  const currentUser = getUserData();
+  const isSelf = currentUser && currentUser.username === username;
+  const question = isSelf
+    ? 'This will sign you out on every device, including this one. Continue?'
+    : `Sign ${username} out on every device?`;
+  if (!confirm(question)) return;
+
+  try {
+    revokeBtn.disabled = true;
+    const revoked = await revokeUserSessions(username);
+    showStatus(revokeStatus, 'success', `Revoked ${revoked} ${revoked === 1 ? 'session' : 'sessions'} for ${username}.`);
+    revokeUsernameInput.value = '';
+
+    if (isSelf) {
+      logout('analytics-login.html');
+    }
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    showStatus(revokeStatus, 'error', `Failed to revoke sessions: ${error.message}`);
+  } finally {
+    revokeBtn.disabled = false;
+  }
+}
+
+/**
+ * Show a status message
+ * @param {HTMLElement} el
+ * @param {string} type - 'error' or 'success'
+ * @param {string} message
+ */
+function showStatus(el, type, message) {
+  el.className = `status ${type}`;
+  el.textContent = message;
+  el.style.display = 'block';
+}
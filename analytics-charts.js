@@ -0,0 +1,343 @@
+/**
+ * analytics-charts.js – Trend charts for the analytics dashboard
+ *
+ * The tables in analytics.js sum up the whole date range. These charts show
+ * the same three metrics over time, one line (or set of bars) per zone, so
+ * peak hours and weekend trends stand out:
+ *
+ *   ⏱️ Average wait       – line
+ *   ❌ Missed rides        – bars (missed count; the ratio is in the tooltip)
+ *   🎢 Average ride length – line
+ *
+ * The data comes from the same endpoints as the tables, bucketed by the
+ * backend when asked for a granularity (see buildMetricsQuery in analytics.js):
+ *
+ *   ?granularity=day   -> each row has bucket 'YYYY-MM-DD'
+ *   ?granularity=hour  -> each row has bucket 'YYYY-MM-DD HH:00'
+ *
+ * Buckets are in the park's local time. Buckets without rides are left as
+ * gaps rather than drawn as zero. Zone chips above the charts show or hide a
+ * zone on all three charts at once.
+ *
+ * Charts are drawn with Chart.js (loaded from the CDN in analytics.html).
+ */
+
+// Hourly buckets over a long range are unreadable (and a big response)
+const MAX_HOURLY_RANGE_DAYS = 14;
+
+// For zones the catalog doesn't know
+const TREND_FALLBACK_COLORS = ['#6366f1', '#ec4899', '#14b8a6', '#f97316', '#84cc16'];
+
+// State
+let trendGranularity = 'day';
+let trendData = null; // { granularity, buckets, zones, waitTimes, missedRides, rideDurations }
+let trendRequestId = 0;
+const hiddenTrendZones = new Set();
+const trendCharts = {};
+
+/**
+ * Every bucket key between two dates, inclusive
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @param {string} granularity - 'day' or 'hour'
+ * @returns {string[]}
+ */
+function listTrendBuckets(startDate, endDate, granularity) {
+  const buckets = [];
+  const day = new Date(`${startDate}T00:00:00`);
+  const last = new Date(`${endDate}T00:00:00`);
+
+  while (day <= last) {
+    const date = formatDate(day);
+    if (granularity === 'hour') {
+      for (let hour = 0; hour < 24; hour++) {
+        buckets.push(`${date} ${String(hour).padStart(2, '0')}:00`);
+      }
+    } else {
+      buckets.push(date);
+    }
+    day.setDate(day.getDate() + 1);
+  }
+  return buckets;
+}
+
+/**
+ * Axis label for a bucket, e.g. "Sat 15 Nov", "14:00" or "Sat 14:00"
+ * @param {string} bucket
+ * @param {string} granularity
+ * @param {boolean} multiDay - Whether the range spans more than one day
+ * @returns {string}
+ */
+function formatTrendBucket(bucket, granularity, multiDay) {
+  const [date, time] = bucket.split(' ');
+  const day = new Date(`${date}T00:00:00`);
+
+  if (granularity === 'hour') {
+    return multiDay
+      ? `${day.toLocaleDateString('en-IN', { weekday: 'short' })} ${time}`
+      : time;
+  }
+  return day.toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' });
+}
+
+/**
+ * Number of days a range covers
+ * @param {string} startDate
+ * @param {string} endDate
+ * @returns {number}
+ */
+function countRangeDays(startDate, endDate) {
+  const ms = new Date(`${endDate}T00:00:00`) - new Date(`${startDate}T00:00:00`);
+  return Math.round(ms / 86400000) + 1;
+}
+
+/**
+ * Fetch the three metrics bucketed over time and draw the charts
+ * @param {string} startDate
+ * @param {string} endDate
+ */
+async function loadTrends(startDate, endDate) {
+  const notice = document.getElementById('trendNotice');
+  notice.textContent = '';
+
+  let granularity = trendGranularity;
+  if (granularity === 'hour' && countRangeDays(startDate, endDate) > MAX_HOURLY_RANGE_DAYS) {
+    granularity = 'day';
+    notice.textContent = `Hourly view covers up to ${MAX_HOURLY_RANGE_DAYS} days – showing daily.`;
+  }
+
+  const requestId = ++trendRequestId;
+  showLoading('trendCharts');
+  try {
+    const [waitTimes, missedRides, rideDurations] = await Promise.all([
+      fetchAverageWaitTimes(startDate, endDate, granularity),
+      fetchMissedRides(startDate, endDate, granularity),
+      fetchAverageRideDuration(startDate, endDate, granularity)
+    ]);
+    if (requestId !== trendRequestId) return; // a newer range or granularity was asked for
+
+    trendData = {
+      granularity,
+      buckets: listTrendBuckets(startDate, endDate, granularity),
+      multiDay: startDate !== endDate,
+      waitTimes: waitTimes.waitTimes || [],
+      missedRides: missedRides.missedRideData || [],
+      rideDurations: rideDurations.rideDurations || []
+    };
+    trendData.zones = collectTrendZones(trendData);
+    renderTrendCharts();
+
+  } catch (error) {
+    if (requestId !== trendRequestId) return;
+    document.getElementById('trendCharts').innerHTML = '<div class="no-data">Trends could not be loaded</div>';
+    showError(`Failed to fetch trend data: ${error.message}`);
+  }
+}
+
+/**
+ * Zones that appear in any of the metrics, in catalog order
+ * @param {Object} data
+ * @returns {Array<{id: string, name: string, color: string}>}
+ */
+function collectTrendZones(data) {
+  const seen = new Map();
+  [data.waitTimes, data.missedRides, data.rideDurations].forEach(rows => {
+    rows.forEach(row => {
+      const id = row.zoneId || row.zoneName;
+      if (!seen.has(id)) seen.set(id, row);
+    });
+  });
+
+  const order = getZones().map(zone => zone.id);
+  const rank = id => (order.indexOf(id) === -1 ? order.length : order.indexOf(id));
+
+  return Array.from(seen.entries())
+    .sort(([a], [b]) => rank(a) - rank(b))
+    .map(([id, row], index) => {
+      const zone = getZone(id);
+      const name = getZoneName(row.zoneId, row.zoneName);
+      return {
+        id,
+        name: zone && zone.icon ? `${zone.icon} ${name}` : name,
+        color: zone ? zone.color : TREND_FALLBACK_COLORS[index % TREND_FALLBACK_COLORS.length]
+      };
+    });
+}
+
+/**
+ * One value per bucket for a zone, null where there were no rides
+ * @param {Array} rows
+ * @param {string} zoneId
+ * @param {string[]} buckets
+ * @param {Function} pick - row -> value
+ * @returns {Array<number|null>}
+ */
+function alignTrendSeries(rows, zoneId, buckets, pick) {
+  const byBucket = new Map();
+  rows.forEach(row => {
+    if ((row.zoneId || row.zoneName) === zoneId) byBucket.set(row.bucket, row);
+  });
+  return buckets.map(bucket => (byBucket.has(bucket) ? pick(byBucket.get(bucket)) : null));
+}
+
+/**
+ * Draw (or redraw) the zone chips and the three charts from trendData
+ */
+function renderTrendCharts() {
+  const container = document.getElementById('trendCharts');
+  Object.keys(trendCharts).forEach(key => {
+    trendCharts[key].destroy();
+    delete trendCharts[key];
+  });
+
+  if (trendData.zones.length === 0) {
+    container.innerHTML = '<div class="no-data">No rides in this period</div>';
+    renderTrendZoneToggles();
+    return;
+  }
+
+  container.innerHTML = `
+    <div class="trend-chart"><h4>⏱️ Average Wait</h4><div class="trend-canvas"><canvas id="waitTrendChart"></canvas></div></div>
+    <div class="trend-chart"><h4>❌ Missed Rides</h4><div class="trend-canvas"><canvas id="missedTrendChart"></canvas></div></div>
+    <div class="trend-chart"><h4>🎢 Average Ride Duration</h4><div class="trend-canvas"><canvas id="durationTrendChart"></canvas></div></div>
+  `;
+
+  const { buckets, granularity, multiDay } = trendData;
+  const labels = buckets.map(bucket => formatTrendBucket(bucket, granularity, multiDay));
+
+  // Keep the missed rides row next to each bar for the tooltip
+  const missedRows = zone => alignTrendSeries(trendData.missedRides, zone.id, buckets, row => row);
+
+  const datasets = (rows, pick, type) => trendData.zones.map(zone => ({
+    label: zone.name,
+    zoneId: zone.id,
+    data: alignTrendSeries(rows, zone.id, buckets, pick),
+    borderColor: zone.color,
+    // Slightly see-through bars so neighbouring zones stay readable
+    backgroundColor: type === 'bar' && zone.color.length === 7 ? `${zone.color}cc` : zone.color,
+    hidden: hiddenTrendZones.has(zone.id),
+    tension: 0.3,
+    pointRadius: granularity === 'hour' ? 0 : 3,
+    spanGaps: false
+  }));
+
+  trendCharts.wait = createTrendChart('waitTrendChart', 'line', labels,
+    datasets(trendData.waitTimes, row => row.averageWaitSeconds, 'line'),
+    value => formatDuration(value));
+
+  const missedDatasets = datasets(trendData.missedRides, row => row.missedCount, 'bar');
+  missedDatasets.forEach((dataset, index) => {
+    dataset.rows = missedRows(trendData.zones[index]);
+  });
+  trendCharts.missed = createTrendChart('missedTrendChart', 'bar', labels, missedDatasets,
+    (value, context) => {
+      const row = context.dataset.rows[context.dataIndex];
+      return `${value} missed of ${row.totalQueued} (${formatPercentage(row.missedRatio)})`;
+    });
+
+  trendCharts.duration = createTrendChart('durationTrendChart', 'line', labels,
+    datasets(trendData.rideDurations, row => row.averageDurationSeconds, 'line'),
+    value => formatDuration(value));
+
+  renderTrendZoneToggles();
+}
+
+/**
+ * A chart with the dashboard's common options
+ * @param {string} canvasId
+ * @param {string} type - 'line' or 'bar'
+ * @param {string[]} labels
+ * @param {Array} datasets
+ * @param {Function} formatValue - (value, tooltipContext) -> text
+ * @returns {Chart}
+ */
+function createTrendChart(canvasId, type, labels, datasets, formatValue) {
+  return new Chart(document.getElementById(canvasId), {
+    type,
+    data: { labels, datasets },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: { mode: 'index', intersect: false },
+      // The zone chips replace the built-in legend
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          filter: item => item.raw !== null,
+          callbacks: {
+            label: context => `${context.dataset.label}: ${formatValue(context.raw, context)}`
+          }
+        }
+      },
+      scales: {
+        x: { ticks: { autoSkip: true, maxRotation: 0 } },
+        y: {
+          beginAtZero: true,
+          ticks: {
+            precision: 0,
+            // Durations read better as minutes on the axis
+            callback: value => (type === 'line' ? `${Math.round(value / 60)}m` : value)
+          }
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Switch between daily and hourly buckets
+ * @param {string} granularity - 'day' or 'hour'
+ * @param {{startDate: string, endDate: string}|null} range - Reload for this range, if any
+ */
+function setTrendGranularity(granularity, range) {
+  trendGranularity = granularity;
+  document.querySelectorAll('[data-granularity]').forEach(button => {
+    button.classList.toggle('active', button.dataset.granularity === granularity);
+  });
+  if (range) {
+    loadTrends(range.startDate, range.endDate);
+  }
+}
+
+/**
+ * Chips to show or hide each zone on every chart
+ */
+function renderTrendZoneToggles() {
+  const toggles = document.getElementById('trendZoneToggles');
+  toggles.innerHTML = '';
+
+  trendData.zones.forEach(zone => {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'zone-toggle';
+    chip.classList.toggle('off', hiddenTrendZones.has(zone.id));
+    chip.setAttribute('aria-pressed', String(!hiddenTrendZones.has(zone.id)));
+    chip.innerHTML = `<span class="zone-swatch" style="background: ${zone.color};"></span>`;
+    chip.appendChild(document.createTextNode(zone.name));
+    chip.addEventListener('click', () => toggleTrendZone(zone.id, chip));
+    toggles.appendChild(chip);
+  });
+}
+
+/**
+ * Show or hide a zone on every chart
+ * @param {string} zoneId
+ * @param {HTMLElement} chip
+ */
+function toggleTrendZone(zoneId, chip) {
+  const hidden = !hiddenTrendZones.has(zoneId);
+  if (hidden) {
+    hiddenTrendZones.add(zoneId);
+  } else {
+    hiddenTrendZones.delete(zoneId);
+  }
+  chip.classList.toggle('off', hidden);
+  chip.setAttribute('aria-pressed', String(!hidden));
+
+  Object.values(trendCharts).forEach(chart => {
+    chart.data.datasets.forEach(dataset => {
+      if (dataset.zoneId === zoneId) dataset.hidden = hidden;
+    });
+    chart.update();
+  });
+}
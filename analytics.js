@@ -6,6 +6,13 @@
  * 1. Average Wait Times
  * 2. Missed Rides
  * 3. Average Ride Duration
+ *
+ * Each is shown as a table for the whole date range and, with
+ * ?granularity=day|hour, as a chart over time (see analytics-charts.js).
+ *
+ * Requests carry the staff session token as a bearer header (see auth.js).
+ * Zone names and colours come from the shared zone catalog (see zones.js),
+ * falling back to the zoneName in each row for zones it doesn't know.
  */
 
 // API Base URL - update this to match your backend
@@ -16,6 +23,9 @@ const API_BASE_URL = "https://www.littleengineersplayground.com/api/v1/metrics";
 let startDatePicker;
 let endDatePicker;
 
+// The range last fetched, so the charts can be re-bucketed without another click
+let lastRange = null;
+
 document.addEventListener('DOMContentLoaded', () => {
   // Initialize date pickers
   const today = new Date();
@@ -34,18 +44,28 @@ document.addEventListener('DOMContentLoaded', () => {
   
   // Fetch data button
   document.getElementById('fetchDataBtn').addEventListener('click', fetchAllMetrics);
+
+  // Daily / hourly charts
+  document.querySelectorAll('[data-granularity]').forEach(button => {
+    button.addEventListener('click', () => setTrendGranularity(button.dataset.granularity, lastRange));
+  });
+
+  // Zone names for the tables
+  loadZoneCatalog();
 });
 
 /**
  * Fetch all three metrics and update the UI
  */
 async function fetchAllMetrics() {
-  const startDate = startDatePicker.selectedDates[0] 
-    ? formatDate(startDatePicker.selectedDates[0]) 
-    : '';
-  const endDate = endDatePicker.selectedDates[0] 
-    ? formatDate(endDatePicker.selectedDates[0]) 
-    : '';
+  // A cleared picker means today, for the tables and the charts alike, and
+  // the picker shows it so the range on screen is the range fetched
+  const today = new Date();
+  if (!startDatePicker.selectedDates[0]) startDatePicker.setDate(today);
+  if (!endDatePicker.selectedDates[0]) endDatePicker.setDate(today);
+  const startDate = formatDate(startDatePicker.selectedDates[0]);
+  const endDate = formatDate(endDatePicker.selectedDates[0]);
+  lastRange = { startDate, endDate };
   
   // Clear error message
   hideError();
@@ -71,18 +91,32 @@ async function fetchAllMetrics() {
   } catch (error) {
     showError(`Failed to fetch analytics data: ${error.message}`);
   }
+
+  // Charts load separately so a slow bucketed query doesn't hold up the tables
+  loadTrends(lastRange.startDate, lastRange.endDate);
 }
 
 /**
- * Fetch Average Wait Times from API
+ * Query string for a metrics request
+ * @param {string} startDate
+ * @param {string} endDate
+ * @param {string} [granularity] - 'day' or 'hour' for rows per time bucket
+ * @returns {string}
  */
-async function fetchAverageWaitTimes(startDate, endDate) {
+function buildMetricsQuery(startDate, endDate, granularity) {
   const params = new URLSearchParams();
   if (startDate) params.append('startDate', startDate);
   if (endDate) params.append('endDate', endDate);
-  
-  const url = `${API_BASE_URL}/average-wait-times${params.toString() ? '?' + params.toString() : ''}`;
-  const response = await fetch(url);
+  if (granularity) params.append('granularity', granularity);
+  return params.toString() ? '?' + params.toString() : '';
+}
+
+/**
+ * Fetch Average Wait Times from API
+ */
+async function fetchAverageWaitTimes(startDate, endDate, granularity) {
+  const url = `${API_BASE_URL}/average-wait-times${buildMetricsQuery(startDate, endDate, granularity)}`;
+  const response = await authFetch(url);
   
   if (!response.ok) {
     throw new Error(`Average Wait Times API returned ${response.status}`);
@@ -94,13 +128,9 @@ async function fetchAverageWaitTimes(startDate, endDate) {
 /**
  * Fetch Missed Rides from API
  */
-async function fetchMissedRides(startDate, endDate) {
-  const params = new URLSearchParams();
-  if (startDate) params.append('startDate', startDate);
-  if (endDate) params.append('endDate', endDate);
-  
-  const url = `${API_BASE_URL}/missed-rides${params.toString() ? '?' + params.toString() : ''}`;
-  const response = await fetch(url);
+async function fetchMissedRides(startDate, endDate, granularity) {
+  const url = `${API_BASE_URL}/missed-rides${buildMetricsQuery(startDate, endDate, granularity)}`;
+  const response = await authFetch(url);
   
   if (!response.ok) {
     throw new Error(`Missed Rides API returned ${response.status}`);
@@ -112,13 +142,9 @@ async function fetchMissedRides(startDate, endDate) {
 /**
  * Fetch Average Ride Duration from API
  */
-async function fetchAverageRideDuration(startDate, endDate) {
-  const params = new URLSearchParams();
-  if (startDate) params.append('startDate', startDate);
-  if (endDate) params.append('endDate', endDate);
-  
-  const url = `${API_BASE_URL}/average-ride-duration${params.toString() ? '?' + params.toString() : ''}`;
-  const response = await fetch(url);
+async function fetchAverageRideDuration(startDate, endDate, granularity) {
+  const url = `${API_BASE_URL}/average-ride-duration${buildMetricsQuery(startDate, endDate, granularity)}`;
+  const response = await authFetch(url);
   
   if (!response.ok) {
     throw new Error(`Average Ride Duration API returned ${response.status}`);
@@ -144,7 +170,7 @@ function renderAverageWaitTimes(data) {
   
   data.waitTimes.forEach(item => {
     html += '<tr>';
-    html += `<td><strong>${escapeHtml(item.zoneName)}</strong></td>`;
+    html += formatZoneCell(item);
     html += `<td>${formatDuration(item.averageWaitSeconds)}</td>`;
     html += `<td class="sample-size">Based on ${item.sampleSize} ride${item.sampleSize !== 1 ? 's' : ''}</td>`;
     html += '</tr>';
@@ -171,7 +197,7 @@ function renderMissedRides(data) {
   
   data.missedRideData.forEach(item => {
     html += '<tr>';
-    html += `<td><strong>${escapeHtml(item.zoneName)}</strong></td>`;
+    html += formatZoneCell(item);
     html += `<td>${formatPercentage(item.missedRatio)}</td>`;
     html += `<td class="sample-size">${item.missedCount} missed of ${item.totalQueued} total</td>`;
     html += '</tr>';
@@ -198,7 +224,7 @@ function renderAverageRideDuration(data) {
   
   data.rideDurations.forEach(item => {
     html += '<tr>';
-    html += `<td><strong>${escapeHtml(item.zoneName)}</strong></td>`;
+    html += formatZoneCell(item);
     html += `<td>${formatDuration(item.averageDurationSeconds)}</td>`;
     html += `<td class="sample-size">Based on ${item.sampleSize} ride${item.sampleSize !== 1 ? 's' : ''}</td>`;
     html += '</tr>';
@@ -208,6 +234,17 @@ function renderAverageRideDuration(data) {
   container.innerHTML = html;
 }
 
+/**
+ * Table cell naming a zone, with its catalog colour and icon
+ */
+function formatZoneCell(item) {
+  const zone = item.zoneId ? getZone(item.zoneId) : null;
+  const name = getZoneName(item.zoneId, item.zoneName);
+  const swatch = zone ? `<span class="zone-swatch" style="background: ${zone.color};"></span>` : '';
+  const label = zone && zone.icon ? `${zone.icon} ${name}` : name;
+  return `<td>${swatch}<strong>${escapeHtml(label)}</strong></td>`;
+}
+
 /**
  * Format seconds into human-readable duration (e.g., "2m 15s" or "5m 30s")
  */
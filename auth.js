@@ -1,71 +1,246 @@
 /**
  * Client-side Authentication Module
- * Manages login sessions with 24-hour validity using localStorage
+ * Manages staff login sessions using signed tokens issued by the backend
+ *
+ * Login goes through POST /api/v1/auth/login, which checks the credentials
+ * server-side and returns a signed JWT. The token is kept in localStorage;
+ * its `exp` claim decides how long the session lasts. The signature cannot
+ * be checked in the browser (only the backend holds the key), so every
+ * metrics and queue request carries the token as a bearer header via
+ * authFetch() and the backend rejects anything forged or expired with 401,
+ * which signs the user out here.
+ *
+ * There is one session per browser, stored under AUTH_SESSION_KEY. The
+ * token's `role` claim names one of the ROLES below; each role grants a set
+ * of PERMISSIONS. Pages call protectPage() with the permission they need,
+ * and any element marked data-requires-permission="..." is hidden from users
+ * without that permission. The backend enforces the same rules on every
+ * request — hiding things here only keeps the UI honest.
+ *
+ * Sessions slide: any input on a protected page counts as activity, and a
+ * session with no activity for IDLE_TIMEOUT_MS ends even if the token is
+ * still valid. While the user is active the token is silently renewed via
+ * POST /api/v1/auth/refresh shortly before it expires. A modal warns
+ * IDLE_WARNING_MS before an idle logout. The last-activity time lives in
+ * localStorage, so activity in any tab keeps every tab alive, and logging
+ * out in one tab logs out all of them (storage events). Revoking a user's
+ * sessions from admin.html makes the backend answer 401, which ends the
+ * session here on the next request or refresh.
+ *
+ * Queue TVs don't log in at all. An admin generates a short pairing code on
+ * admin.html, the TV enters it once on pair-display.html and receives a
+ * long-lived device credential (AUTH_DEVICE_KEY) bound to one zone. Without
+ * a staff session, a paired device acts as ROLES.DISPLAY_ONLY; it has no
+ * idle timeout and lasts until an admin revokes it, at which point the
+ * backend answers 401 and the screen returns to the pairing page.
  */
 
-const AUTH_KEYS = {
-  ANALYTICS: 'auth_analytics',
-  PUBLIC_QUEUE: 'auth_public_queue'
+const AUTH_SESSION_KEY = 'auth_session';
+
+// Per-page keys used before roles existed; cleared on login/logout
+const LEGACY_AUTH_KEYS = ['auth_analytics', 'auth_public_queue'];
+
+const ROLES = {
+  OWNER: 'owner',
+  MANAGER: 'manager',
+  ZONE_OPERATOR: 'zone_operator',
+  FRONT_DESK: 'front_desk',
+  DISPLAY_ONLY: 'display_only'
+};
+
+const PERMISSIONS = {
+  VIEW_ANALYTICS: 'analytics:view',
+  MANAGE_SESSIONS: 'sessions:manage',
+  MANAGE_DEVICES: 'devices:manage',
+  VIEW_QUEUE: 'queue:view',
+  OPERATE_QUEUE: 'queue:operate',
+  SCAN_CHECKIN: 'checkin:scan',
+  QUEUE_CHECKIN: 'checkin:queue'
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.OWNER]: Object.values(PERMISSIONS),
+  [ROLES.MANAGER]: [
+    PERMISSIONS.VIEW_ANALYTICS,
+    PERMISSIONS.MANAGE_DEVICES,
+    PERMISSIONS.VIEW_QUEUE,
+    PERMISSIONS.OPERATE_QUEUE,
+    PERMISSIONS.SCAN_CHECKIN,
+    PERMISSIONS.QUEUE_CHECKIN
+  ],
+  [ROLES.ZONE_OPERATOR]: [
+    PERMISSIONS.VIEW_QUEUE,
+    PERMISSIONS.OPERATE_QUEUE,
+    PERMISSIONS.SCAN_CHECKIN,
+    PERMISSIONS.QUEUE_CHECKIN
+  ],
+  [ROLES.FRONT_DESK]: [
+    PERMISSIONS.VIEW_QUEUE,
+    PERMISSIONS.SCAN_CHECKIN,
+    PERMISSIONS.QUEUE_CHECKIN
+  ],
+  [ROLES.DISPLAY_ONLY]: [
+    PERMISSIONS.VIEW_QUEUE
+  ]
 };
 
-const ONE_DAY_MS = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+// Where each permission's main page lives, in order of preference after login
+const PERMISSION_LANDING_PAGES = [
+  { permission: PERMISSIONS.VIEW_ANALYTICS, url: 'analytics.html' },
+  { permission: PERMISSIONS.OPERATE_QUEUE, url: 'queue-operator.html' },
+  { permission: PERMISSIONS.SCAN_CHECKIN, url: 'checkin.html' },
+  { permission: PERMISSIONS.VIEW_QUEUE, url: 'public-queue.html' }
+];
+
+const AUTH_API_URL = 'https://www.littleengineersplayground.com/api/v1/auth';
+
+const DEVICES_API_URL = 'https://www.littleengineersplayground.com/api/v1/devices';
+
+// Credential of a paired queue display: { deviceId, token, zoneId, pairedAt }
+const AUTH_DEVICE_KEY = 'auth_device';
+
+const DEVICE_PAIRING_URL = 'pair-display.html';
+
+// Where to send the user when their session is missing or rejected
+const AUTH_LOGIN_URL = 'analytics-login.html';
+
+// Time of the last user input on any protected tab, in ms
+const AUTH_ACTIVITY_KEY = 'auth_last_activity';
+
+const IDLE_TIMEOUT_MS = 30 * 60 * 1000; // 30 minutes without input
+const IDLE_WARNING_MS = 2 * 60 * 1000; // warn 2 minutes before an idle logout
+const REFRESH_BEFORE_EXPIRY_MS = 5 * 60 * 1000; // renew tokens expiring within 5 minutes
+const ACTIVITY_WRITE_INTERVAL_MS = 15 * 1000; // throttle activity writes to localStorage
+const SESSION_CHECK_INTERVAL_MS = 5 * 1000;
+
+// Wall screens have nobody touching them, so they never go idle
+const IDLE_EXEMPT_ROLES = [ROLES.DISPLAY_ONLY];
+
+/**
+ * Exchange credentials for a session token
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<{token: string, user: object}>}
+ */
+async function requestLogin(username, password) {
+  const response = await fetch(`${AUTH_API_URL}/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password })
+  });
+
+  if (response.status === 401 || response.status === 403) {
+    throw new Error('Invalid credentials. Please check your username and password.');
+  }
+  if (!response.ok) {
+    throw new Error(`Login failed (${response.status}). Please try again.`);
+  }
+
+  const json = await response.json();
+  if (!json || !json.success || !json.token) {
+    throw new Error((json && json.message) || 'Login failed. Please try again.');
+  }
+  return { token: json.token, user: json.user || { username } };
+}
+
+/**
+ * Read the claims of a JWT without verifying it
+ * @param {string} token
+ * @returns {object|null} - Payload or null if the token is malformed
+ */
+function decodeTokenPayload(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  try {
+    const base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+    const json = decodeURIComponent(
+      Array.from(atob(padded), c => '%' + c.charCodeAt(0).toString(16).padStart(2, '0')).join('')
+    );
+    return JSON.parse(json);
+  } catch (error) {
+    return null;
+  }
+}
 
 /**
  * Store authentication data in localStorage
- * @param {string} authKey - The key to store auth data under (analytics or public-queue)
  * @param {string} username - The username/identifier
+ * @param {string} token - Signed session token from the login endpoint
  */
-function storeAuth(authKey, username) {
+function storeAuth(username, token) {
+  const payload = decodeTokenPayload(token) || {};
   const authData = {
     username: username,
+    role: payload.role || null,
+    token: token,
     loginTime: Date.now()
   };
-  localStorage.setItem(authKey, JSON.stringify(authData));
-  
-  // If logging into analytics, also grant access to public-queue
-  if (authKey === AUTH_KEYS.ANALYTICS) {
-    localStorage.setItem(AUTH_KEYS.PUBLIC_QUEUE, JSON.stringify(authData));
-  }
+  LEGACY_AUTH_KEYS.forEach(key => localStorage.removeItem(key));
+  localStorage.setItem(AUTH_ACTIVITY_KEY, String(Date.now()));
+  localStorage.setItem(AUTH_SESSION_KEY, JSON.stringify(authData));
+}
+
+/**
+ * Remove stored auth data
+ */
+function clearAuth() {
+  LEGACY_AUTH_KEYS.forEach(key => localStorage.removeItem(key));
+  localStorage.removeItem(AUTH_ACTIVITY_KEY);
+  localStorage.removeItem(AUTH_SESSION_KEY);
 }
 
 /**
  * Check if user is logged in and session is valid
- * @param {string} authKey - The key to check auth data for
- * @returns {boolean} - True if logged in and not expired
+ * @returns {boolean} - True if a well-formed, unexpired token is stored
  */
-function isLoggedIn(authKey) {
-  const data = localStorage.getItem(authKey);
+function isLoggedIn() {
+  const data = localStorage.getItem(AUTH_SESSION_KEY);
   
   if (!data) {
     return false;
   }
 
   try {
-    const { loginTime } = JSON.parse(data);
-    const now = Date.now();
+    const { token } = JSON.parse(data);
+    const payload = decodeTokenPayload(token);
+
+    // Idle sessions end even while the token itself is still valid
+    if (payload && getIdleRemainingMs(payload.role) <= 0) {
+      clearAuth();
+      return false;
+    }
+
+    // Entries without a usable token (e.g. from the old client-only login) are invalid
+    if (!payload || typeof payload.exp !== 'number') {
+      localStorage.removeItem(AUTH_SESSION_KEY);
+      return false;
+    }
 
-    // Check if session has expired (more than 24 hours)
-    if (now - loginTime > ONE_DAY_MS) {
+    // Check if the token has expired (exp is in seconds)
+    if (payload.exp * 1000 <= Date.now()) {
       // Auto-logout on expiry
-      localStorage.removeItem(authKey);
+      localStorage.removeItem(AUTH_SESSION_KEY);
       return false;
     }
 
     return true;
   } catch (error) {
     console.error('Auth check error:', error);
-    localStorage.removeItem(authKey);
+    localStorage.removeItem(AUTH_SESSION_KEY);
     return false;
   }
 }
 
 /**
  * Get current user data from localStorage
- * @param {string} authKey - The key to retrieve auth data from
  * @returns {object|null} - User data or null if not logged in
  */
-function getUserData(authKey) {
-  const data = localStorage.getItem(authKey);
+function getUserData() {
+  const data = localStorage.getItem(AUTH_SESSION_KEY);
   
   if (!data) {
     return null;
@@ -80,57 +255,468 @@ function getUserData(authKey) {
 }
 
 /**
- * Logout user by removing auth data
- * @param {string} authKey - The key to remove
+ * Role of the signed-in user, taken from the token's `role` claim. Without a
+ * staff session a paired display counts as display-only.
+ * @returns {string|null}
+ */
+function getCurrentRole() {
+  if (!isLoggedIn()) {
+    return getDeviceCredential() ? ROLES.DISPLAY_ONLY : null;
+  }
+  const userData = getUserData();
+  const payload = decodeTokenPayload(userData.token);
+  return (payload && payload.role) || null;
+}
+
+/**
+ * Check whether the signed-in user's role grants a permission
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean}
+ */
+function hasPermission(permission) {
+  const role = getCurrentRole();
+  const granted = ROLE_PERMISSIONS[role] || [];
+  return granted.includes(permission);
+}
+
+/**
+ * First page the signed-in user is allowed to open
+ * @returns {string|null} - URL, or null if the role grants no page
+ */
+function getLandingPage() {
+  const match = PERMISSION_LANDING_PAGES.find(page => hasPermission(page.permission));
+  return match ? match.url : null;
+}
+
+/**
+ * Hide every element whose data-requires-permission the user lacks
+ * @param {ParentNode} [root]
+ */
+function applyPermissionVisibility(root = document) {
+  root.querySelectorAll('[data-requires-permission]').forEach(el => {
+    if (!hasPermission(el.dataset.requiresPermission)) {
+      el.style.display = 'none';
+    }
+  });
+}
+
+/**
+ * Hide controls the role cannot use once the page has been parsed
+ */
+function applyPermissionVisibilityWhenReady() {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => applyPermissionVisibility());
+  } else {
+    applyPermissionVisibility();
+  }
+}
+
+/**
+ * fetch() with the session token attached as a bearer header. A 401 from the
+ * backend means the token was rejected, so the user is signed out; a 403
+ * means the role lacks permission and is returned to the caller as usual.
+ * @param {string} url - Request URL
+ * @param {object} [options] - Standard fetch options
+ * @returns {Promise<Response>}
+ */
+async function authFetch(url, options = {}) {
+  const userData = isLoggedIn() ? getUserData() : null;
+  const device = userData ? null : getDeviceCredential();
+  const token = userData ? userData.token : device && device.token;
+  const headers = new Headers(options.headers || {});
+  if (token) {
+    headers.set('Authorization', `Bearer ${token}`);
+  }
+
+  const response = await fetch(url, { ...options, headers });
+
+  if (response.status === 401) {
+    if (device) {
+      // The display was revoked; it has to be paired again
+      clearDeviceCredential();
+      window.location.href = DEVICE_PAIRING_URL;
+      throw new Error('This display is no longer paired.');
+    }
+    clearAuth();
+    window.location.href = AUTH_LOGIN_URL;
+    throw new Error('Your session has expired. Please log in again.');
+  }
+
+  return response;
+}
+
+/**
+ * Logout user by removing auth data and revoking the token on the backend
  * @param {string} redirectUrl - URL to redirect to after logout
  */
-function logout(authKey, redirectUrl) {
-  // If logging out from analytics, also clear public-queue access
-  if (authKey === AUTH_KEYS.ANALYTICS) {
-    localStorage.removeItem(AUTH_KEYS.PUBLIC_QUEUE);
+function logout(redirectUrl = AUTH_LOGIN_URL) {
+  const userData = getUserData();
+  if (userData && userData.token) {
+    // keepalive lets the request finish while the page navigates away
+    fetch(`${AUTH_API_URL}/logout`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${userData.token}` },
+      keepalive: true
+    }).catch(error => console.warn('Logout request failed:', error));
   }
-  localStorage.removeItem(authKey);
+  clearAuth();
   window.location.href = redirectUrl;
 }
 
 /**
- * Protect a page - redirect to login if not authenticated
- * @param {string} authKey - The key to check
+ * Protect a page - redirect to login if not authenticated, or to the user's
+ * own landing page if their role lacks the permission this page needs
+ * @param {string} permission - One of PERMISSIONS
  * @param {string} loginUrl - URL of the login page
  */
-function protectPage(authKey, loginUrl) {
-  if (!isLoggedIn(authKey)) {
+function protectPage(permission, loginUrl = AUTH_LOGIN_URL) {
+  if (!isLoggedIn()) {
+    // Paired displays may open display-only pages without a staff session
+    if (getDeviceCredential() && hasPermission(permission)) {
+      applyPermissionVisibilityWhenReady();
+      return;
+    }
     window.location.href = loginUrl;
+    return;
+  }
+
+  if (!hasPermission(permission)) {
+    const landingPage = getLandingPage();
+    if (landingPage) {
+      window.location.replace(landingPage);
+    } else {
+      // Nothing this role may open; sign out rather than loop
+      clearAuth();
+      window.location.replace(`${loginUrl}?error=forbidden`);
+    }
+    return;
   }
+
+  applyPermissionVisibilityWhenReady();
+
+  startSessionMonitor(loginUrl);
 }
 
 /**
  * Get remaining session time in a human-readable format
- * @param {string} authKey - The key to check
  * @returns {string} - Formatted remaining time
  */
-function getRemainingSessionTime(authKey) {
-  const data = localStorage.getItem(authKey);
+function getRemainingSessionTime() {
+  const data = getUserData();
   
   if (!data) {
     return 'Not logged in';
   }
 
-  try {
-    const { loginTime } = JSON.parse(data);
-    const now = Date.now();
-    const elapsed = now - loginTime;
-    const remaining = ONE_DAY_MS - elapsed;
+  const payload = decodeTokenPayload(data.token);
+  if (!payload || typeof payload.exp !== 'number') {
+    return 'Error';
+  }
+
+  // Show whichever comes first: token expiry or the idle deadline
+  const remaining = Math.min(payload.exp * 1000 - Date.now(), getIdleRemainingMs(payload.role));
 
-    if (remaining <= 0) {
-      return 'Expired';
+  if (remaining <= 0) {
+    return 'Expired';
+  }
+
+  const hours = Math.floor(remaining / (1000 * 60 * 60));
+  const minutes = Math.floor((remaining % (1000 * 60 * 60)) / (1000 * 60));
+
+  return `${hours}h ${minutes}m`;
+}
+
+/**
+ * Milliseconds until the session ends for inactivity
+ * @param {string} [role] - Role from the token; exempt roles never go idle
+ * @returns {number}
+ */
+function getIdleRemainingMs(role) {
+  if (IDLE_EXEMPT_ROLES.includes(role)) {
+    return Infinity;
+  }
+  const lastActivity = Number(localStorage.getItem(AUTH_ACTIVITY_KEY)) || 0;
+  return lastActivity + IDLE_TIMEOUT_MS - Date.now();
+}
+
+/**
+ * Note user activity (shared across tabs through localStorage)
+ */
+function recordActivity() {
+  const lastActivity = Number(localStorage.getItem(AUTH_ACTIVITY_KEY)) || 0;
+  if (Date.now() - lastActivity >= ACTIVITY_WRITE_INTERVAL_MS) {
+    localStorage.setItem(AUTH_ACTIVITY_KEY, String(Date.now()));
+  }
+}
+
+let refreshInFlight = null;
+
+/**
+ * Swap the current token for a fresh one
+ * @returns {Promise<boolean>} - False if the backend refused (session revoked or expired)
+ */
+function refreshSession() {
+  if (refreshInFlight) {
+    return refreshInFlight;
+  }
+
+  const userData = getUserData();
+  if (!userData || !userData.token) {
+    return Promise.resolve(false);
+  }
+
+  refreshInFlight = (async () => {
+    try {
+      const response = await fetch(`${AUTH_API_URL}/refresh`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${userData.token}` }
+      });
+
+      if (response.status === 401 || response.status === 403) {
+        return false;
+      }
+      if (!response.ok) {
+        throw new Error(`Refresh API returned ${response.status}`);
+      }
+
+      const json = await response.json();
+      if (!json || !json.success || !json.token) {
+        return false;
+      }
+
+      // Another tab may have logged out while we waited
+      if (!getUserData()) {
+        return false;
+      }
+      const payload = decodeTokenPayload(json.token) || {};
+      localStorage.setItem(AUTH_SESSION_KEY, JSON.stringify({
+        ...userData,
+        role: payload.role || userData.role,
+        token: json.token
+      }));
+      return true;
+    } catch (error) {
+      // Network trouble: keep the current token and try again on the next check
+      console.warn('Session refresh failed:', error);
+      return true;
+    } finally {
+      refreshInFlight = null;
+    }
+  })();
+
+  return refreshInFlight;
+}
+
+let sessionWarningEl = null;
+
+/**
+ * Show (or update) the "you are about to be signed out" modal
+ * @param {number} remainingMs
+ */
+function showSessionWarning(remainingMs) {
+  if (!sessionWarningEl) {
+    sessionWarningEl = document.createElement('div');
+    sessionWarningEl.setAttribute('role', 'alertdialog');
+    sessionWarningEl.setAttribute('aria-modal', 'true');
+    sessionWarningEl.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,0.5);display:flex;align-items:center;justify-content:center;z-index:5000;font-family:Inter,sans-serif;';
+    sessionWarningEl.innerHTML = `
+      <div style="background:white;border:3px solid #eab308;border-radius:16px;padding:2rem;max-width:360px;width:90%;text-align:center;box-shadow:0 8px 24px rgba(0,0,0,0.2);">
+        <h2 style="margin:0 0 0.75rem 0;color:#a16207;font-size:1.5rem;">Still there?</h2>
+        <p style="margin:0 0 1.5rem 0;color:#374151;">You will be signed out in <strong data-session-countdown></strong> because of inactivity.</p>
+        <div style="display:flex;gap:0.75rem;justify-content:center;">
+          <button type="button" data-session-stay style="padding:0.75rem 1.25rem;background:#eab308;border:2px solid black;border-radius:8px;font-weight:700;cursor:pointer;">Stay signed in</button>
+          <button type="button" data-session-logout style="padding:0.75rem 1.25rem;background:#ef4444;color:white;border:none;border-radius:8px;font-weight:600;cursor:pointer;">Log out</button>
+        </div>
+      </div>`;
+    sessionWarningEl.querySelector('[data-session-stay]').addEventListener('click', () => {
+      localStorage.setItem(AUTH_ACTIVITY_KEY, String(Date.now()));
+      hideSessionWarning();
+      refreshSession();
+    });
+    sessionWarningEl.querySelector('[data-session-logout]').addEventListener('click', () => logout());
+    document.body.appendChild(sessionWarningEl);
+  }
+
+  const seconds = Math.max(0, Math.ceil(remainingMs / 1000));
+  const countdown = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  sessionWarningEl.querySelector('[data-session-countdown]').textContent = countdown;
+}
+
+/**
+ * Remove the inactivity warning modal
+ */
+function hideSessionWarning() {
+  if (sessionWarningEl) {
+    sessionWarningEl.remove();
+    sessionWarningEl = null;
+  }
+}
+
+let sessionMonitorId = null;
+
+/**
+ * Watch the session on a protected page: track activity, refresh the token
+ * before it expires, warn before an idle logout and follow logouts made in
+ * other tabs
+ * @param {string} loginUrl - URL of the login page
+ */
+function startSessionMonitor(loginUrl = AUTH_LOGIN_URL) {
+  if (sessionMonitorId) return;
+
+  const endSession = () => {
+    clearInterval(sessionMonitorId);
+    sessionMonitorId = null;
+    clearAuth();
+    window.location.href = loginUrl;
+  };
+
+  // Once the warning is up only "Stay signed in" extends the session
+  const onActivity = () => {
+    if (!sessionWarningEl) recordActivity();
+  };
+  ['pointerdown', 'keydown', 'touchstart', 'wheel', 'mousemove'].forEach(type => {
+    window.addEventListener(type, onActivity, { passive: true });
+  });
+
+  const checkSession = async () => {
+    const userData = getUserData();
+    const payload = userData && decodeTokenPayload(userData.token);
+    if (!payload) {
+      endSession();
+      return;
+    }
+
+    const idleRemaining = getIdleRemainingMs(payload.role);
+    if (idleRemaining <= 0) {
+      endSession();
+      return;
     }
+    if (idleRemaining <= IDLE_WARNING_MS) {
+      showSessionWarning(idleRemaining);
+    } else {
+      hideSessionWarning();
+    }
+
+    const tokenRemaining = payload.exp * 1000 - Date.now();
+    if (tokenRemaining <= REFRESH_BEFORE_EXPIRY_MS && idleRemaining > IDLE_WARNING_MS) {
+      const refreshed = await refreshSession();
+      if (!refreshed) {
+        endSession();
+        return;
+      }
+    }
+    if (!isLoggedIn()) {
+      endSession();
+    }
+  };
+
+  // Logging out (or a revoked refresh) in another tab removes the session key
+  window.addEventListener('storage', (e) => {
+    if (e.key === AUTH_SESSION_KEY && !e.newValue) {
+      window.location.href = loginUrl;
+    }
+    if (e.key === AUTH_ACTIVITY_KEY) {
+      hideSessionWarning();
+    }
+  });
+
+  sessionMonitorId = setInterval(checkSession, SESSION_CHECK_INTERVAL_MS);
+  checkSession();
+}
+
+/**
+ * Revoke every session of a user (admin only). Their open pages are signed
+ * out on their next request or token refresh.
+ * @param {string} username
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+async function revokeUserSessions(username) {
+  const response = await authFetch(`${AUTH_API_URL}/sessions/revoke`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username })
+  });
+
+  if (response.status === 403) {
+    throw new Error('You do not have permission to revoke sessions.');
+  }
+  if (!response.ok) {
+    throw new Error(`Revoke API returned ${response.status}`);
+  }
+
+  const json = await response.json();
+  if (!json || !json.success) {
+    throw new Error((json && json.message) || 'Could not revoke sessions');
+  }
+  return json.revoked || 0;
+}
+
+/**
+ * Exchange a pairing code for a long-lived display credential
+ * @param {string} code - Code generated on admin.html
+ * @param {string} deviceName - Label shown in the admin device list
+ * @returns {Promise<object>} - The stored credential
+ */
+async function pairDisplayDevice(code, deviceName) {
+  const response = await fetch(`${DEVICES_API_URL}/pair`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ code, deviceName })
+  });
 
-    const hours = Math.floor(remaining / (1000 * 60 * 60));
-    const minutes = Math.floor((remaining % (1000 * 60 * 60)) / (1000 * 60));
+  if (response.status === 400 || response.status === 404 || response.status === 410) {
+    throw new Error('That pairing code is invalid or has expired.');
+  }
+  if (!response.ok) {
+    throw new Error(`Pairing failed (${response.status}). Please try again.`);
+  }
 
-    return `${hours}h ${minutes}m`;
+  const json = await response.json();
+  if (!json || !json.success || !json.deviceToken) {
+    throw new Error((json && json.message) || 'Pairing failed. Please try again.');
+  }
+
+  const credential = {
+    deviceId: json.deviceId,
+    token: json.deviceToken,
+    zoneId: json.zoneId,
+    pairedAt: Date.now()
+  };
+  localStorage.setItem(AUTH_DEVICE_KEY, JSON.stringify(credential));
+  return credential;
+}
+
+/**
+ * Credential of this paired display, if any
+ * @returns {object|null}
+ */
+function getDeviceCredential() {
+  const data = localStorage.getItem(AUTH_DEVICE_KEY);
+
+  if (!data) {
+    return null;
+  }
+
+  try {
+    const credential = JSON.parse(data);
+    return credential && credential.token ? credential : null;
   } catch (error) {
-    return 'Error';
+    console.error('Error parsing device credential:', error);
+    return null;
   }
 }
+
+/**
+ * Forget this display's pairing
+ */
+function clearDeviceCredential() {
+  localStorage.removeItem(AUTH_DEVICE_KEY);
+}
+
+/**
+ * True when the page is running as a paired display rather than a staff session
+ * @returns {boolean}
+ */
+function isPairedDisplay() {
+  return !isLoggedIn() && Boolean(getDeviceCredential());
+}
@@ -0,0 +1,223 @@
+/*
+ * checkin-token.js – Signed, expiring check-in tokens
+ *
+ * The completion page used to put the bare mobile number in the check-in
+ * QR, so anyone could print a QR for any number. The consent API now
+ * returns a checkInToken instead, which the QR encodes as-is:
+ *
+ *   base64url(JSON payload) + '.' + base64url(ECDSA P-256 / SHA-256 signature)
+ *
+ * The signature is the raw 64-byte r||s form WebCrypto produces. The payload
+ * looks like:
+ *
+ *   { "typ": "checkin", "kid": "2025-11", "cid": "<consent id>",
+ *     "mob": "******1234", "iat": 1762000000, "exp": 1762086400 }
+ *
+ * iat/exp are in seconds; mob is already masked by the backend so the token
+ * never carries the full number. Only the backend holds the private key;
+ * scanners verify tokens offline with the public keys below, picked by kid.
+ *
+ * A consent still waiting in the offline queue (consent-sync.js) has no
+ * token yet, so its QR carries a pending record instead:
+ *
+ *   'pending:' + base64url(JSON { sid: "<clientSubmissionId>", parent,
+ *     mob: "******1234", children: [{ name, displayName, dob }], signedAt })
+ *
+ * It is not signed (only the backend holds a key), so the scanner shows it
+ * for staff to check against the family's receipt, and the backend queues
+ * the children provisionally until the upload with that clientSubmissionId
+ * arrives (see checkin.js).
+ */
+
+// Public halves of the backend's check-in signing keys, by kid. Keep retired
+// keys here until every token they signed has expired.
+const CHECKIN_TOKEN_PUBLIC_KEYS = {
+  '2025-11': {
+    kty: 'EC',
+    crv: 'P-256',
+    x: '_QYmJsPSk0lcm4kNC52F3K-LeJZT4GbtZuxgyJ2c-TU',
+    y: 'mLidzKTARZjXZv6Iska9Sj_BxK3qyraBhrhTOEEO82k'
+  }
+};
+
+const CHECKIN_PENDING_PREFIX = 'pending:';
+
+// Tolerated difference between the scanner's clock and the backend's
+const CHECKIN_TOKEN_CLOCK_SKEW_SECONDS = 60;
+
+const checkInKeyCache = {};
+
+/**
+ * Decode a base64url string to bytes
+ * @param {string} value
+ * @returns {Uint8Array}
+ */
+function base64UrlToBytes(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  const binary = atob(padded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Encode bytes as base64url
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Whether a scanned value is the pending record of a not-yet-uploaded consent
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isPendingCheckInValue(value) {
+  return typeof value === 'string' && value.startsWith(CHECKIN_PENDING_PREFIX);
+}
+
+/**
+ * QR value for a consent still in the offline queue
+ * @param {{clientSubmissionId: string, parentName: string, mobile: string,
+ *          children: Array<{legalname: string, displayname: string, dob: string}>,
+ *          signedAt: string}} consent - The stored receipt (see consent-receipt.js)
+ * @returns {string}
+ */
+function pendingCheckInValue(consent) {
+  const digits = String(consent.mobile || '').replace(/\D/g, '');
+  const record = {
+    sid: consent.clientSubmissionId,
+    parent: consent.parentName || '',
+    mob: digits.length >= 4 ? '*'.repeat(digits.length - 4) + digits.slice(-4) : '',
+    children: (consent.children || []).map(child => ({
+      name: child.legalname,
+      displayName: child.displayname || '',
+      dob: child.dob || ''
+    })),
+    signedAt: consent.signedAt || null
+  };
+  return CHECKIN_PENDING_PREFIX + bytesToBase64Url(new TextEncoder().encode(JSON.stringify(record)));
+}
+
+/**
+ * Read a pending record from a scanned value
+ * @param {string} value
+ * @returns {Object|null} - { sid, parent, mob, children, signedAt }
+ */
+function decodePendingCheckInValue(value) {
+  if (!isPendingCheckInValue(value)) return null;
+  try {
+    const json = new TextDecoder().decode(base64UrlToBytes(value.slice(CHECKIN_PENDING_PREFIX.length)));
+    const record = JSON.parse(json);
+    return record && typeof record.sid === 'string' && Array.isArray(record.children) ? record : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read a token's payload without checking the signature. Only for display
+ * (e.g. the masked mobile on the completion page); use verifyCheckInToken
+ * before trusting it.
+ * @param {string} token
+ * @returns {Object|null}
+ */
+function decodeCheckInToken(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 2) return null;
+  try {
+    const json = new TextDecoder().decode(base64UrlToBytes(parts[0]));
+    const payload = JSON.parse(json);
+    return payload && typeof payload === 'object' ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Import (once) the public key for a kid. Rejects if the key cannot be
+ * imported (a bad JWK, or no crypto.subtle outside a secure origin); a
+ * failed import is not cached, so the next call tries again.
+ * @param {string} kid
+ * @returns {Promise<CryptoKey|null>}
+ */
+async function getCheckInPublicKey(kid) {
+  const jwk = CHECKIN_TOKEN_PUBLIC_KEYS[kid];
+  if (!jwk) return null;
+  if (!checkInKeyCache[kid]) {
+    checkInKeyCache[kid] = Promise.resolve()
+      .then(() => window.crypto.subtle.importKey(
+        'jwk',
+        jwk,
+        { name: 'ECDSA', namedCurve: 'P-256' },
+        false,
+        ['verify']
+      ))
+      .catch(error => {
+        delete checkInKeyCache[kid];
+        throw error;
+      });
+  }
+  return checkInKeyCache[kid];
+}
+
+/**
+ * Validate a check-in token's signature and lifetime, fully offline
+ * @param {string} token
+ * @param {Date} [now]
+ * @returns {Promise<{valid: boolean, reason: (string|null), payload: (Object|null)}>}
+ *   reason is one of 'malformed', 'unknownKey', 'badSignature', 'notYetValid', 'expired'
+ */
+async function verifyCheckInToken(token, now = new Date()) {
+  const result = (valid, reason, payload = null) => ({ valid, reason, payload });
+
+  const payload = decodeCheckInToken(token);
+  if (!payload || payload.typ !== 'checkin' || typeof payload.exp !== 'number') {
+    return result(false, 'malformed');
+  }
+
+  const [encodedPayload, encodedSignature] = token.split('.');
+  let signatureOk = false;
+  try {
+    let key;
+    try {
+      key = await getCheckInPublicKey(payload.kid);
+    } catch (error) {
+      console.warn('Check-in public key could not be imported:', error);
+    }
+    if (!key) {
+      return result(false, 'unknownKey', payload);
+    }
+
+    signatureOk = await window.crypto.subtle.verify(
+      { name: 'ECDSA', hash: 'SHA-256' },
+      key,
+      base64UrlToBytes(encodedSignature),
+      new TextEncoder().encode(encodedPayload)
+    );
+  } catch (error) {
+    console.warn('Check-in token signature could not be checked:', error);
+  }
+  if (!signatureOk) {
+    return result(false, 'badSignature', payload);
+  }
+
+  const nowSeconds = Math.floor(now.getTime() / 1000);
+  if (typeof payload.iat === 'number' && payload.iat - CHECKIN_TOKEN_CLOCK_SKEW_SECONDS > nowSeconds) {
+    return result(false, 'notYetValid', payload);
+  }
+  if (payload.exp + CHECKIN_TOKEN_CLOCK_SKEW_SECONDS < nowSeconds) {
+    return result(false, 'expired', payload);
+  }
+
+  return result(true, null, payload);
+}
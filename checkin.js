@@ -0,0 +1,474 @@
+/**
+ * checkin.js – Staff check-in scanner for LePlay
+ *
+ * Staff scan the QR shown on complete.html with the device camera. The
+ * signed check-in token inside it is verified offline first (see
+ * checkin-token.js), then the family is looked up to show each child with
+ * today's consent status. Selected children are added to a zone's queue,
+ * which is what the public queue display shows.
+ *
+ * API: POST /api/v1/checkin/lookup { token }
+ *        -> { success, family: { parentName, mobile },
+ *             children: [{ id, name, displayName, dob, consentStatus,
+ *                          consentSignedAt, queueStatus, zoneId }] }
+ *      POST /api/v1/checkin/queue { token, zoneId, childIds }
+ *        -> { success, queued: [{ childId, position }] }
+ *      POST /api/v1/checkin/queue-pending { clientSubmissionId, zoneId,
+ *             children: [{ name, displayName, dob }] }
+ *        -> { success, queued: [{ childId, position }] }
+ *
+ * consentStatus is 'valid', 'missing' or 'expired'; queueStatus is null,
+ * 'waiting' or 'inside'.
+ *
+ * A consent signed while the kiosk was offline has a pending record in its
+ * QR instead of a token (see checkin-token.js). Its children are listed
+ * from the record, marked 'pending', for staff to check against the family's
+ * receipt; the backend queues them provisionally and matches them to the
+ * consent once the kiosk uploads it with the same clientSubmissionId.
+ */
+
+// API Base URL - update this to match your backend
+const CHECKIN_API_BASE_URL = "https://www.littleengineersplayground.com/api/v1/checkin";
+
+const CONSENT_STATUS_LABELS = {
+  valid: '✅ Consent signed',
+  missing: '⚠️ No consent',
+  expired: '⚠️ Consent expired',
+  pending: '⏳ Consent uploading'
+};
+
+const TOKEN_ERROR_MESSAGES = {
+  malformed: 'This is not a LePlay check-in QR code.',
+  unknownKey: 'This QR was signed with an unknown key. Please look the family up at the front desk.',
+  badSignature: 'This QR code failed verification and may have been tampered with.',
+  notYetValid: 'This QR code is not valid yet. Check the device clock.',
+  expired: 'This QR code has expired. Ask the family to sign the consent form again.'
+};
+
+// State
+let cameraStream = null;
+let scanFrameId = null;
+let currentToken = null;
+let currentPending = null;
+let currentFamily = null;
+let currentChildren = [];
+
+// DOM Elements
+const statusMessage = document.getElementById('statusMessage');
+const scannerPanel = document.getElementById('scannerPanel');
+const scannerVideo = document.getElementById('scannerVideo');
+const scannerCanvas = document.getElementById('scannerCanvas');
+const scannerFrame = document.getElementById('scannerFrame');
+const scannerPlaceholder = document.getElementById('scannerPlaceholder');
+const startScanBtn = document.getElementById('startScan');
+const stopScanBtn = document.getElementById('stopScan');
+const manualEntryForm = document.getElementById('manualEntryForm');
+const manualTokenInput = document.getElementById('manualToken');
+const familyPanel = document.getElementById('familyPanel');
+const familyName = document.getElementById('familyName');
+const familyMeta = document.getElementById('familyMeta');
+const childList = document.getElementById('childList');
+const zoneSelect = document.getElementById('zoneSelect');
+const checkInSelectedBtn = document.getElementById('checkInSelected');
+const scanNextBtn = document.getElementById('scanNext');
+
+// Event Listeners
+document.addEventListener('DOMContentLoaded', () => {
+  startScanBtn.addEventListener('click', startScanning);
+  stopScanBtn.addEventListener('click', stopScanning);
+
+  manualEntryForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const value = manualTokenInput.value.trim();
+    if (value) {
+      handleScannedValue(value);
+    }
+  });
+
+  checkInSelectedBtn.addEventListener('click', handleCheckIn);
+
+  scanNextBtn.addEventListener('click', () => {
+    resetFamily();
+    hideStatus();
+    startScanning();
+  });
+
+  // Zones from the catalog (see zones.js); the saved list first, then the latest
+  populateZoneSelect(zoneSelect);
+  loadZoneCatalog().then(() => populateZoneSelect(zoneSelect));
+
+  // Remember the last zone used on this device
+  const savedZone = localStorage.getItem('checkin_zone');
+  if (savedZone && zoneSelect.querySelector(`option[value="${savedZone}"]`)) {
+    zoneSelect.value = savedZone;
+  }
+  zoneSelect.addEventListener('change', () => {
+    localStorage.setItem('checkin_zone', zoneSelect.value);
+  });
+});
+
+/**
+ * Turn on the rear camera and start looking for QR codes
+ */
+async function startScanning() {
+  if (cameraStream) return;
+
+  if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+    showStatus('error', 'This browser cannot access the camera. Paste the check-in code instead.');
+    return;
+  }
+
+  if (typeof jsQR !== 'function') {
+    console.error('jsQR library did not load.');
+    showStatus('error', 'QR scanner unavailable. Paste the check-in code instead.');
+    return;
+  }
+
+  try {
+    cameraStream = await navigator.mediaDevices.getUserMedia({
+      video: { facingMode: 'environment' },
+      audio: false
+    });
+  } catch (error) {
+    console.error('Camera access error:', error);
+    showStatus('error', 'Could not open the camera. Check the browser permission and try again.');
+    return;
+  }
+
+  hideStatus();
+  scannerVideo.srcObject = cameraStream;
+  await scannerVideo.play();
+
+  scannerVideo.style.display = 'block';
+  scannerFrame.style.display = 'block';
+  scannerPlaceholder.style.display = 'none';
+  startScanBtn.style.display = 'none';
+  stopScanBtn.style.display = 'inline-block';
+
+  scanFrameId = requestAnimationFrame(scanFrame);
+}
+
+/**
+ * Turn the camera off
+ */
+function stopScanning() {
+  if (scanFrameId) {
+    cancelAnimationFrame(scanFrameId);
+    scanFrameId = null;
+  }
+  if (cameraStream) {
+    cameraStream.getTracks().forEach(track => track.stop());
+    cameraStream = null;
+  }
+  scannerVideo.srcObject = null;
+  scannerVideo.style.display = 'none';
+  scannerFrame.style.display = 'none';
+  scannerPlaceholder.style.display = 'block';
+  startScanBtn.style.display = 'inline-block';
+  stopScanBtn.style.display = 'none';
+}
+
+/**
+ * Decode the current video frame; keep going until a QR is found
+ */
+function scanFrame() {
+  if (!cameraStream) return;
+
+  if (scannerVideo.readyState === scannerVideo.HAVE_ENOUGH_DATA) {
+    const width = scannerVideo.videoWidth;
+    const height = scannerVideo.videoHeight;
+    scannerCanvas.width = width;
+    scannerCanvas.height = height;
+
+    const ctx = scannerCanvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(scannerVideo, 0, 0, width, height);
+    const imageData = ctx.getImageData(0, 0, width, height);
+    const code = jsQR(imageData.data, width, height, { inversionAttempts: 'dontInvert' });
+
+    if (code && code.data) {
+      stopScanning();
+      handleScannedValue(code.data);
+      return;
+    }
+  }
+
+  scanFrameId = requestAnimationFrame(scanFrame);
+}
+
+/**
+ * Verify a scanned or pasted value and look up the family
+ * @param {string} value
+ */
+async function handleScannedValue(value) {
+  resetFamily();
+
+  if (isPendingCheckInValue(value)) {
+    showPendingFamily(value);
+    return;
+  }
+
+  const verification = await verifyCheckInToken(value);
+  if (!verification.valid) {
+    console.warn('Check-in token rejected:', verification.reason);
+    showStatus('error', TOKEN_ERROR_MESSAGES[verification.reason] || 'This QR code could not be verified.');
+    return;
+  }
+
+  currentToken = value;
+  manualTokenInput.value = '';
+  await lookupFamily(value);
+}
+
+/**
+ * Fetch the family and children for a verified token
+ * @param {string} token
+ */
+async function lookupFamily(token) {
+  try {
+    showStatus('warning', 'Looking up family...');
+
+    const response = await authFetch(`${CHECKIN_API_BASE_URL}/lookup`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token })
+    });
+
+    if (response.status === 404) {
+      throw new Error('No family found for this QR code');
+    }
+    if (!response.ok) {
+      throw new Error(`API returned ${response.status}: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    if (!data || !data.success) {
+      throw new Error((data && data.message) || 'Lookup failed');
+    }
+
+    hideStatus();
+    renderFamily(data.family || {}, data.children || []);
+  } catch (error) {
+    console.error('Error looking up family:', error);
+    showStatus('error', `Failed to look up family: ${error.message}`);
+  }
+}
+
+/**
+ * Show the family from the pending record of a consent not uploaded yet
+ * @param {string} value
+ */
+function showPendingFamily(value) {
+  const record = decodePendingCheckInValue(value);
+  if (!record) {
+    showStatus('error', 'This check-in code could not be read.');
+    return;
+  }
+
+  currentPending = record;
+  manualTokenInput.value = '';
+  renderFamily(
+    { parentName: record.parent, mobile: record.mob },
+    record.children.map((child, index) => ({
+      id: String(index),
+      name: child.name,
+      displayName: child.displayName,
+      dob: child.dob,
+      consentStatus: 'pending',
+      consentSignedAt: record.signedAt,
+      queueStatus: null
+    }))
+  );
+  showStatus('warning', 'This consent was signed while the kiosk was offline and is still uploading. Check the names against the receipt on the family\'s screen before checking them in.');
+}
+
+/**
+ * Show the family with one row per child
+ * @param {{parentName: string, mobile: string}} family
+ * @param {Array<Object>} children
+ */
+function renderFamily(family, children) {
+  currentFamily = family;
+  currentChildren = children;
+  familyName.textContent = family.parentName || 'Family';
+  familyMeta.textContent = [
+    family.mobile ? `Mobile: ${family.mobile}` : '',
+    `${children.length} ${children.length === 1 ? 'child' : 'children'}`
+  ].filter(Boolean).join(' · ');
+
+  childList.innerHTML = '';
+  if (children.length === 0) {
+    childList.innerHTML = '<div class="child-detail">No children registered for this family.</div>';
+  }
+  children.forEach(child => {
+    childList.appendChild(createChildRow(child));
+  });
+
+  scannerPanel.style.display = 'none';
+  familyPanel.style.display = 'block';
+  updateCheckInButton();
+}
+
+/**
+ * Create a selectable row for one child
+ * @param {Object} child
+ * @returns {HTMLElement}
+ */
+function createChildRow(child) {
+  const row = document.createElement('label');
+  row.className = 'child-row';
+
+  const canCheckIn = (child.consentStatus === 'valid' || child.consentStatus === 'pending') && !child.queueStatus;
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.value = String(child.id);
+  checkbox.checked = canCheckIn;
+  checkbox.disabled = !canCheckIn;
+  checkbox.addEventListener('change', updateCheckInButton);
+
+  const info = document.createElement('div');
+  info.className = 'child-info';
+
+  const name = document.createElement('div');
+  name.className = 'child-name';
+  name.textContent = child.displayName && child.displayName !== child.name
+    ? `${child.name} (${child.displayName})`
+    : child.name || 'Unknown Child';
+
+  const detail = document.createElement('div');
+  detail.className = 'child-detail';
+  const parts = [];
+  if (child.dob) parts.push(`Born ${child.dob}`);
+  if (child.consentSignedAt) parts.push(`Signed ${new Date(child.consentSignedAt).toLocaleString()}`);
+  detail.textContent = parts.join(' · ');
+
+  info.appendChild(name);
+  info.appendChild(detail);
+
+  const badge = document.createElement('span');
+  if (child.queueStatus) {
+    badge.className = 'consent-badge queued';
+    const zoneName = child.zoneId ? ` · ${getZoneName(child.zoneId)}` : '';
+    badge.textContent = (child.queueStatus === 'inside' ? 'Inside' : 'In queue') + zoneName;
+  } else {
+    badge.className = `consent-badge ${child.consentStatus}`;
+    badge.textContent = CONSENT_STATUS_LABELS[child.consentStatus] || child.consentStatus;
+  }
+
+  row.appendChild(checkbox);
+  row.appendChild(info);
+  row.appendChild(badge);
+  return row;
+}
+
+/**
+ * Enable the check-in button only when at least one child is selected
+ */
+function updateCheckInButton() {
+  checkInSelectedBtn.disabled = getSelectedChildIds().length === 0;
+}
+
+/**
+ * IDs of the ticked children
+ * @returns {Array<string>}
+ */
+function getSelectedChildIds() {
+  return Array.from(childList.querySelectorAll('input[type="checkbox"]:checked')).map(cb => cb.value);
+}
+
+/**
+ * Add the selected children to the chosen zone's queue
+ */
+async function handleCheckIn() {
+  const childIds = getSelectedChildIds();
+  const zoneId = zoneSelect.value;
+  if ((!currentToken && !currentPending) || childIds.length === 0) return;
+
+  try {
+    checkInSelectedBtn.disabled = true;
+    checkInSelectedBtn.textContent = 'Checking in...';
+
+    let path = 'queue';
+    let body = { token: currentToken, zoneId, childIds };
+    if (currentPending) {
+      // A pending consent has no child ids yet; the backend gets the children from the record
+      path = 'queue-pending';
+      body = {
+        clientSubmissionId: currentPending.sid,
+        zoneId,
+        children: childIds.map(id => currentPending.children[Number(id)])
+      };
+    }
+
+    const response = await authFetch(`${CHECKIN_API_BASE_URL}/${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      throw new Error(`API returned ${response.status}: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    if (!data || !data.success) {
+      throw new Error((data && data.message) || 'Check-in failed');
+    }
+
+    // Reflect the new queue status without another lookup (ids may be numbers)
+    const checkedIds = childIds.map(String);
+    currentChildren.forEach(child => {
+      if (checkedIds.includes(String(child.id))) {
+        child.queueStatus = 'waiting';
+        child.zoneId = zoneId;
+      }
+    });
+    renderFamily(currentFamily, currentChildren);
+
+    const zoneName = getZoneName(zoneId);
+    const count = childIds.length;
+    showStatus('success', `Checked in ${count} ${count === 1 ? 'child' : 'children'} to ${zoneName}.`);
+  } catch (error) {
+    console.error('Error checking in:', error);
+    showStatus('error', `Failed to check in: ${error.message}`);
+  } finally {
+    checkInSelectedBtn.textContent = '✅ Check in selected';
+    updateCheckInButton();
+  }
+}
+
+/**
+ * Clear the current family and return to the scanner
+ */
+function resetFamily() {
+  currentToken = null;
+  currentPending = null;
+  currentFamily = null;
+  currentChildren = [];
+  childList.innerHTML = '';
+  familyPanel.style.display = 'none';
+  scannerPanel.style.display = 'block';
+}
+
+/**
+ * Show a status message
+ * @param {string} type - 'error', 'warning' or 'success'
+ * @param {string} message
+ */
+function showStatus(type, message) {
+  statusMessage.className = `status ${type}`;
+  statusMessage.textContent = message;
+  statusMessage.style.display = 'block';
+}
+
+/**
+ * Hide status message
+ */
+function hideStatus() {
+  statusMessage.style.display = 'none';
+}
+
+// Release the camera when leaving the page
+window.addEventListener('beforeunload', () => {
+  stopScanning();
+});
@@ -0,0 +1,195 @@
+/*
+ * consent-receipt.js – Downloadable PDF copy of the signed consent
+ *
+ * Just before redirecting to complete.html, consent.js stores what the
+ * parent signed (agreement text, children, signature image, template
+ * version and timestamp) in sessionStorage. The completion page reads it
+ * back and builds a PDF receipt in the browser with jsPDF, so the family
+ * keeps a copy without another call to the backend.
+ *
+ * sessionStorage rather than localStorage: the receipt is only needed by the
+ * tab that submitted it and should not linger on a shared kiosk.
+ *
+ * jsPDF's built-in fonts only cover Latin text. Lines in Kannada, Hindi or
+ * Tamil are drawn onto a canvas with the browser's own fonts and embedded
+ * as images, so the receipt matches the language the agreement was signed in.
+ */
+
+const CONSENT_RECEIPT_KEY = 'consent_receipt';
+
+const RECEIPT_PAGE_MARGIN_MM = 15;
+
+const PT_TO_MM = 0.3528;
+
+// Latin-1 plus the typographic punctuation jsPDF maps for its standard fonts
+const PDF_SAFE_TEXT = /^[\u0000-\u00ff\u2013\u2014\u2018\u2019\u201c\u201d\u2022\u2026]*$/;
+
+/**
+ * Remember the signed consent for the completion page
+ * @param {Object} receipt
+ */
+function saveConsentReceipt(receipt) {
+  try {
+    sessionStorage.setItem(CONSENT_RECEIPT_KEY, JSON.stringify(receipt));
+  } catch (error) {
+    // The consent itself is already submitted or queued; only the copy is lost
+    console.warn('Could not store consent receipt:', error);
+  }
+}
+
+/**
+ * Read back the signed consent stored by saveConsentReceipt
+ * @returns {Object|null}
+ */
+function loadConsentReceipt() {
+  try {
+    const raw = sessionStorage.getItem(CONSENT_RECEIPT_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    console.warn('Could not read consent receipt:', error);
+    return null;
+  }
+}
+
+/**
+ * Wrap text in a script jsPDF cannot draw and render each line to an image
+ * @param {string} text
+ * @param {number} fontSizePt
+ * @param {number} maxWidthMm
+ * @param {string} [fontWeight]
+ * @returns {Array<{dataUrl: string, widthMm: number, heightMm: number}>}
+ */
+function renderTextAsImages(text, fontSizePt, maxWidthMm, fontWeight = 'normal') {
+  const scale = 4; // canvas pixels per point, enough to stay sharp when printed
+  const fontPx = fontSizePt * scale;
+  const pxPerMm = scale / PT_TO_MM;
+  const lineHeightPx = Math.ceil(fontPx * 1.5);
+  const font = `${fontWeight} ${fontPx}px Inter, "Noto Sans", sans-serif`;
+
+  const measure = document.createElement('canvas').getContext('2d');
+  measure.font = font;
+  const maxWidthPx = maxWidthMm * pxPerMm;
+
+  const lines = [];
+  text.split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(' ').forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && measure.measureText(candidate).width > maxWidthPx) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    lines.push(line);
+  });
+
+  return lines.map(line => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.ceil(measure.measureText(line).width));
+    canvas.height = lineHeightPx;
+    const ctx = canvas.getContext('2d');
+    ctx.font = font;
+    ctx.fillStyle = '#1f2937';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(line, 0, lineHeightPx / 2);
+    return {
+      dataUrl: canvas.toDataURL('image/png'),
+      widthMm: canvas.width / pxPerMm,
+      heightMm: lineHeightPx / pxPerMm
+    };
+  });
+}
+
+/**
+ * Build the PDF receipt for a signed consent
+ * @param {Object} receipt - As stored by saveConsentReceipt
+ * @returns {Object} jsPDF document
+ */
+function buildConsentReceiptPdf(receipt) {
+  const { jsPDF } = window.jspdf;
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - RECEIPT_PAGE_MARGIN_MM * 2;
+  let y = RECEIPT_PAGE_MARGIN_MM;
+
+  // Start a new page when the next block would run past the bottom margin
+  const ensureSpace = height => {
+    if (y + height > pageHeight - RECEIPT_PAGE_MARGIN_MM) {
+      doc.addPage();
+      y = RECEIPT_PAGE_MARGIN_MM;
+    }
+  };
+
+  const writeText = (text, { size = 10, bold = false, gapAfter = 1.5 } = {}) => {
+    const value = String(text || '');
+    if (PDF_SAFE_TEXT.test(value)) {
+      doc.setFont('helvetica', bold ? 'bold' : 'normal');
+      doc.setFontSize(size);
+      const lineHeight = size * PT_TO_MM * 1.4;
+      doc.splitTextToSize(value, contentWidth).forEach(line => {
+        ensureSpace(lineHeight);
+        doc.text(line, RECEIPT_PAGE_MARGIN_MM, y + size * PT_TO_MM);
+        y += lineHeight;
+      });
+    } else {
+      renderTextAsImages(value, size, contentWidth, bold ? 'bold' : 'normal').forEach(line => {
+        ensureSpace(line.heightMm);
+        doc.addImage(line.dataUrl, 'PNG', RECEIPT_PAGE_MARGIN_MM, y, line.widthMm, line.heightMm);
+        y += line.heightMm;
+      });
+    }
+    y += gapAfter;
+  };
+
+  const writeHeading = text => {
+    y += 3;
+    writeText(text, { size: 12, bold: true, gapAfter: 2 });
+  };
+
+  const signedAt = receipt.signedAt ? new Date(receipt.signedAt) : new Date();
+
+  writeText('LePlay – Little Engineers Playground', { size: 16, bold: true, gapAfter: 1 });
+  writeText('Signed consent receipt', { size: 12, gapAfter: 4 });
+
+  writeText(`Signed on: ${signedAt.toLocaleString('en-IN')}`);
+  writeText(`Parent/guardian: ${receipt.parentName}`);
+  writeText(`Mobile: ${receipt.mobile}`);
+  writeText(`Agreement version: ${receipt.consentTemplateVersion}`);
+  writeText(`Agreement SHA-256: ${receipt.consentTextHash}`, { size: 8 });
+  writeText(`Reference: ${receipt.clientSubmissionId}`, { size: 8 });
+
+  writeHeading('Children');
+  (receipt.children || []).forEach((child, index) => {
+    const display = child.displayname ? ` (${child.displayname})` : '';
+    writeText(`${index + 1}. ${child.legalname}${display} – born ${child.dob}`);
+  });
+
+  writeHeading('Agreement');
+  writeText(receipt.consentText);
+
+  writeHeading('Signature');
+  if (receipt.signature) {
+    const image = doc.getImageProperties(receipt.signature);
+    const width = 70;
+    const height = width * (image.height / image.width);
+    ensureSpace(height);
+    doc.addImage(receipt.signature, 'PNG', RECEIPT_PAGE_MARGIN_MM, y, width, height);
+    y += height + 2;
+  }
+  writeText(`Signed electronically by ${receipt.parentName} on ${signedAt.toISOString()}`, { size: 8 });
+
+  return doc;
+}
+
+/**
+ * Generate the receipt and hand it to the browser as a download
+ * @param {Object} receipt
+ */
+function downloadConsentReceipt(receipt) {
+  const signedAt = receipt.signedAt ? new Date(receipt.signedAt) : new Date();
+  const day = signedAt.toISOString().slice(0, 10);
+  buildConsentReceiptPdf(receipt).save(`leplay-consent-${day}.pdf`);
+}
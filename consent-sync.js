@@ -0,0 +1,286 @@
+/*
+ * consent-sync.js – Offline queue for consent submissions
+ *
+ * The entrance kiosk regularly drops off Wi‑Fi. Instead of losing a signed
+ * consent when that happens, consent.js hands the payload to this module,
+ * which persists it in localStorage ("pending sync") and replays it to the
+ * consent API once connectivity returns, backing off exponentially between
+ * attempts so a flaky connection is not hammered.
+ *
+ * Every payload carries a clientSubmissionId so the backend can recognise a
+ * replay of a submission it already stored.
+ *
+ * Replays are sent with `replay: true`. A replay can arrive after its
+ * one-time-code token (otpToken) has expired, so for replays the backend
+ * still checks the token's signature and mobile number, but accepts it for
+ * a bounded grace period (24 hours) past the exp signed into the token,
+ * measured on the backend's own clock. Times the kiosk supplies, such as
+ * audit.submittedAt, play no part in it.
+ *
+ * A consent signed before its number could be verified (no code could be
+ * sent from step 1) is saved here as an 'unverified' draft, which is never
+ * sent. Once the parent enters a code, consent.js attaches the token with
+ * verifyConsentDraft and the draft is queued like any other submission.
+ *
+ * Submissions the backend refuses are kept as 'rejected' rather than
+ * dropped, so staff can review them on the kiosk and retry or remove them,
+ * along with drafts still waiting for a code (see getSubmissionsNeedingStaff).
+ *
+ * Progress is broadcast as a `consent-sync` CustomEvent on window with
+ * detail { id, status, message? } where status is 'synced' or 'rejected'.
+ */
+
+const CONSENT_API_URL = 'https://www.littleengineersplayground.com/api/consent';
+
+const CONSENT_QUEUE_KEY = 'consent_pending_submissions';
+
+const SYNC_BASE_DELAY_MS = 5000; // first retry after 5 seconds
+const SYNC_MAX_DELAY_MS = 5 * 60 * 1000; // never wait more than 5 minutes
+
+let syncTimerId = null;
+let syncInProgress = false;
+
+/**
+ * Generate an identifier for a submission, used by the backend to de-duplicate replays
+ * @returns {string}
+ */
+function generateSubmissionId() {
+  if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Whether a failed HTTP status is worth retrying later (server or gateway trouble)
+ * rather than a definitive rejection of the submission
+ * @param {number} status
+ * @returns {boolean}
+ */
+function isRetryableStatus(status) {
+  return status >= 500 || status === 408 || status === 429;
+}
+
+/**
+ * Read the persisted queue from localStorage
+ * @returns {Array<Object>}
+ */
+function loadPendingSubmissions() {
+  const data = localStorage.getItem(CONSENT_QUEUE_KEY);
+
+  if (!data) {
+    return [];
+  }
+
+  try {
+    const list = JSON.parse(data);
+    return Array.isArray(list) ? list : [];
+  } catch (error) {
+    console.error('Error parsing pending consent queue:', error);
+    return [];
+  }
+}
+
+/**
+ * Persist the queue to localStorage
+ * @param {Array<Object>} list
+ */
+function savePendingSubmissions(list) {
+  localStorage.setItem(CONSENT_QUEUE_KEY, JSON.stringify(list));
+}
+
+/**
+ * Add a consent payload to the offline queue.
+ * Throws if the browser refuses to store it (e.g. storage quota exceeded).
+ * @param {Object} payload - The exact body that would have been POSTed
+ * @param {string} [status] - 'pending', or 'unverified' for a draft that must not be sent yet
+ * @returns {Object} - The queue entry
+ */
+function queueConsentSubmission(payload, status = 'pending') {
+  const entry = {
+    id: payload.clientSubmissionId || generateSubmissionId(),
+    payload: payload,
+    queuedAt: Date.now(),
+    attempts: 0,
+    nextAttemptAt: Date.now(),
+    status: status
+  };
+
+  const list = loadPendingSubmissions().filter(item => item.id !== entry.id);
+  list.push(entry);
+  savePendingSubmissions(list);
+
+  scheduleSync();
+  return entry;
+}
+
+/**
+ * Look up a queued submission by id
+ * @param {string} id
+ * @returns {Object|null}
+ */
+function getPendingSubmission(id) {
+  return loadPendingSubmissions().find(item => item.id === id) || null;
+}
+
+/**
+ * Number of submissions still waiting to reach the backend
+ * @returns {number}
+ */
+function getPendingCount() {
+  return loadPendingSubmissions().filter(item => item.status === 'pending').length;
+}
+
+/**
+ * Submissions the backend refused and drafts still waiting for a code, oldest first
+ * @returns {Array<Object>}
+ */
+function getSubmissionsNeedingStaff() {
+  return loadPendingSubmissions().filter(item => item.status === 'rejected' || item.status === 'unverified');
+}
+
+/**
+ * Attach the one-time-code token to a draft and queue it for upload
+ * @param {string} id
+ * @param {string} otpToken
+ */
+function verifyConsentDraft(id, otpToken) {
+  const entry = getPendingSubmission(id);
+  if (!entry || entry.status !== 'unverified') return;
+  updatePendingSubmission(id, {
+    payload: { ...entry.payload, otpToken: otpToken },
+    status: 'pending',
+    nextAttemptAt: Date.now()
+  });
+  syncPendingSubmissions();
+}
+
+/**
+ * Put a rejected submission back in the queue, e.g. once staff fixed what the backend refused
+ * @param {string} id
+ */
+function retryRejectedSubmission(id) {
+  updatePendingSubmission(id, { status: 'pending', attempts: 0, nextAttemptAt: Date.now(), message: null });
+  syncPendingSubmissions();
+}
+
+/**
+ * Update a single queue entry in place
+ * @param {string} id
+ * @param {Object} changes
+ */
+function updatePendingSubmission(id, changes) {
+  const list = loadPendingSubmissions().map(item => (item.id === id ? { ...item, ...changes } : item));
+  savePendingSubmissions(list);
+}
+
+/**
+ * Remove a queue entry once the backend has stored it
+ * @param {string} id
+ */
+function removePendingSubmission(id) {
+  savePendingSubmissions(loadPendingSubmissions().filter(item => item.id !== id));
+}
+
+/**
+ * Notify listeners (the kiosk banner, the completion page) about a queue change
+ * @param {Object} detail
+ */
+function dispatchSyncEvent(detail) {
+  window.dispatchEvent(new CustomEvent('consent-sync', { detail: detail }));
+}
+
+/**
+ * Replay a single queued submission
+ * @param {Object} entry
+ */
+async function replaySubmission(entry) {
+  const attempts = entry.attempts + 1;
+
+  try {
+    const response = await fetch(CONSENT_API_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...entry.payload, replay: true })
+    });
+
+    if (!response.ok && isRetryableStatus(response.status)) {
+      throw new Error(`Consent API returned ${response.status}`);
+    }
+
+    const result = await response.json().catch(() => ({}));
+
+    if (response.ok && result && result.success) {
+      removePendingSubmission(entry.id);
+      dispatchSyncEvent({ id: entry.id, status: 'synced', result: result });
+      return;
+    }
+
+    // The backend answered but refused the submission; retrying won't help.
+    const message = (result && result.message) || `Consent API returned ${response.status}`;
+    console.error('Queued consent rejected by backend:', entry.id, message);
+    updatePendingSubmission(entry.id, { status: 'rejected', attempts: attempts, message: message });
+    dispatchSyncEvent({ id: entry.id, status: 'rejected', message: message });
+  } catch (error) {
+    const delay = Math.min(SYNC_BASE_DELAY_MS * Math.pow(2, entry.attempts), SYNC_MAX_DELAY_MS);
+    console.warn(`Consent sync failed for ${entry.id}, retrying in ${Math.round(delay / 1000)}s:`, error.message);
+    updatePendingSubmission(entry.id, { attempts: attempts, nextAttemptAt: Date.now() + delay });
+  }
+}
+
+/**
+ * Replay every queued submission that is due, then schedule the next run
+ */
+async function syncPendingSubmissions() {
+  if (syncInProgress) return;
+
+  if (!navigator.onLine) {
+    // Wait for the browser's `online` event rather than polling
+    return;
+  }
+
+  syncInProgress = true;
+  try {
+    const now = Date.now();
+    const due = loadPendingSubmissions().filter(item => item.status === 'pending' && item.nextAttemptAt <= now);
+    for (const entry of due) {
+      await replaySubmission(entry);
+    }
+  } finally {
+    syncInProgress = false;
+    scheduleSync();
+  }
+}
+
+/**
+ * Arm a timer for the earliest pending retry
+ */
+function scheduleSync() {
+  if (syncTimerId) {
+    clearTimeout(syncTimerId);
+    syncTimerId = null;
+  }
+
+  const pending = loadPendingSubmissions().filter(item => item.status === 'pending');
+  if (pending.length === 0) return;
+
+  const nextAttemptAt = Math.min(...pending.map(item => item.nextAttemptAt));
+  const delay = Math.max(nextAttemptAt - Date.now(), 0);
+  syncTimerId = setTimeout(syncPendingSubmissions, delay);
+}
+
+/**
+ * Start background syncing. Safe to call on every page that loads this script.
+ */
+function startConsentSync() {
+  window.addEventListener('online', () => {
+    // Connectivity is back: retry everything immediately instead of waiting out the backoff
+    const list = loadPendingSubmissions().map(item =>
+      item.status === 'pending' ? { ...item, nextAttemptAt: Date.now() } : item
+    );
+    savePendingSubmissions(list);
+    syncPendingSubmissions();
+  });
+
+  syncPendingSubmissions();
+}
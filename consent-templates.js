@@ -0,0 +1,106 @@
+/*
+ * consent-templates.js – Versioned consent agreement text
+ *
+ * The agreement wording lives in consent-templates.json rather than in code.
+ * Each template has a version ID, the date it becomes effective and a body
+ * with {{placeholders}} for the parent and child names, translated per
+ * language (see i18n.js):
+ *
+ *   { "version": "2025-01-generic-v1", "effectiveFrom": "2025-01-01",
+ *     "title": "...",
+ *     "body": { "en": "I, {{parentName}}, as the parent/guardian of {{childNames}}, ...",
+ *               "kn": "...", "hi": "...", "ta": "..." } }
+ *
+ * A plain string body is treated as English.
+ *
+ * The template in force on a given day is the one with the latest
+ * effectiveFrom that is not in the future. consent.js sends the template
+ * version together with a SHA‑256 hash of the rendered text, so we can later
+ * prove exactly which wording a parent signed.
+ *
+ * The last successfully loaded file is cached in localStorage so the kiosk
+ * can still render the agreement while offline.
+ */
+
+const CONSENT_TEMPLATES_URL = 'consent-templates.json';
+
+const CONSENT_TEMPLATES_CACHE_KEY = 'consent_templates_cache';
+
+/**
+ * Load the consent templates, falling back to the cached copy when offline
+ * @returns {Promise<Array<Object>>}
+ */
+async function loadConsentTemplates() {
+  try {
+    const response = await fetch(CONSENT_TEMPLATES_URL, { cache: 'no-cache' });
+
+    if (!response.ok) {
+      throw new Error(`Consent templates returned ${response.status}`);
+    }
+
+    const json = await response.json();
+    const templates = Array.isArray(json.templates) ? json.templates : [];
+    localStorage.setItem(CONSENT_TEMPLATES_CACHE_KEY, JSON.stringify(templates));
+    return templates;
+  } catch (error) {
+    console.warn('Could not load consent templates, using cached copy:', error);
+    const cached = localStorage.getItem(CONSENT_TEMPLATES_CACHE_KEY);
+    if (!cached) {
+      throw new Error('Consent agreement text is unavailable');
+    }
+    return JSON.parse(cached);
+  }
+}
+
+/**
+ * Pick the template in force on the given date
+ * @param {Array<Object>} templates
+ * @param {Date} date
+ * @returns {Object|null}
+ */
+function selectConsentTemplate(templates, date = new Date()) {
+  const day = [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+
+  // effectiveFrom is yyyy-mm-dd, so string comparison orders dates correctly
+  const current = templates
+    .filter(tpl => tpl.version && tpl.body && tpl.effectiveFrom && tpl.effectiveFrom <= day)
+    .sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom));
+
+  return current[0] || null;
+}
+
+/**
+ * Fill a template's {{placeholders}} in the requested language, falling back
+ * to English when that translation is missing. Unknown placeholders are left
+ * untouched so a typo in the template is visible rather than silently blank.
+ * @param {Object} template
+ * @param {Object<string,string>} values
+ * @param {string} [language]
+ * @returns {string}
+ */
+function renderConsentTemplate(template, values, language = 'en') {
+  const body = typeof template.body === 'string'
+    ? template.body
+    : template.body[language] || template.body.en;
+
+  return body.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+    Object.prototype.hasOwnProperty.call(values, key) ? values[key] : match
+  );
+}
+
+/**
+ * SHA‑256 hash of the rendered consent text, as lowercase hex
+ * @param {string} text
+ * @returns {Promise<string>}
+ */
+async function hashConsentText(text) {
+  const bytes = new TextEncoder().encode(text);
+  const digest = await window.crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
@@ -3,15 +3,44 @@
  *
  * This script orchestrates the three steps of the digital consent form:
  *  1. Collect parent/guardian details (name and mobile number)
- *  2. Collect information about one or more children (name and date of birth)
+ *  2. Collect information about one or more children (name, date of birth,
+ *     height, allergies, medical conditions, an alternate emergency contact
+ *     and optional photo consent) and show which activities each child is
+ *     eligible for under the rules in eligibility.js
  *  3. Display a consent agreement, capture an electronic signature and
  *     submit the data to the backend API for storage and PDF generation.
+ *     The agreement text comes from a versioned template; the version and a
+ *     hash of the rendered text are submitted with the signature.
+ *     The parent must scroll to the end of the agreement and tick "I have
+ *     read the agreement" before signing. An audit bundle (raw signature
+ *     strokes, stroke timing, device details and time spent on the step)
+ *     is submitted alongside the signature image.
+ *
+ * Every label and message goes through i18n.js so the flow can be completed
+ * in English, Kannada, Hindi or Tamil; the chosen language is submitted too.
  *
  * The mobile number acts as the primary key for each customer. When the
- * parent provides their mobile number we attempt to fetch any existing
+ * parent provides their mobile number we send a one-time code to it
+ * (otp.js); only once that code is verified do we fetch any existing
  * consent data and prepopulate the child fields. Once the consent form
  * has been signed and submitted the user is redirected to a completion
- * page which displays a QR code containing their mobile number.
+ * page which displays a QR code of the signed check-in token returned by
+ * the backend (see checkin-token.js). The token travels in the URL fragment
+ * so it is never sent to the server or written to access logs, and the
+ * mobile number no longer appears in the URL at all.
+ *
+ * If the kiosk is offline when the form is finished, the submission is
+ * handed to consent-sync.js, which stores it locally and replays it once
+ * connectivity returns. If it is already offline at step 1, so no code can
+ * be sent, the parent may still fill in and sign the form (nothing is
+ * prefilled), but it is not submitted: the signed form is kept on the
+ * device as a draft and step 1 asks for the code as soon as one can be
+ * sent. Only a verified draft is queued for upload. Drafts still waiting
+ * for a code and submissions the backend refuses are listed for staff under
+ * the sync banner.
+ *
+ * Either way a copy of what was signed is handed to consent-receipt.js so
+ * the completion page can offer it as a PDF download.
  */
 
 // Wait for DOM to be ready before attaching event listeners
@@ -37,6 +66,36 @@ document.addEventListener('DOMContentLoaded', () => {
     parentNameInput.readOnly = false;
     parentNameInput.value = '';
     childrenContainer.innerHTML = '';
+    // a different number needs its own verification
+    resetOtp();
+  });
+
+  // One-time-code verification (see otp.js)
+  const otpSection = document.getElementById('otpSection');
+  const otpCodeInput = document.getElementById('otpCode');
+  const otpError = document.getElementById('otpError');
+  const otpSentMessage = document.getElementById('otpSentMessage');
+  const otpDevHint = document.getElementById('otpDevHint');
+  const verifyOtpBtn = document.getElementById('verifyOtp');
+  const resendOtpBtn = document.getElementById('resendOtp');
+  const otpProvider = getOtpProvider();
+  const offlineOtpSection = document.getElementById('offlineOtpSection');
+  const continueOfflineBtn = document.getElementById('continueOffline');
+
+  // requestId of the code currently awaiting entry, and the verified number + token
+  let otpRequestId = null;
+  let otpVerification = null;
+  let resendTimerId = null;
+
+  // The number the parent went on with while no code could be sent, and the
+  // signed draft (see consent-sync.js) waiting for that number to be verified
+  let unverifiedMobile = null;
+  let draftAwaitingVerification = null;
+  const draftNotice = document.getElementById('draftNotice');
+  const leaveDraftBtn = document.getElementById('leaveDraft');
+
+  otpCodeInput.addEventListener('input', () => {
+    otpCodeInput.value = otpCodeInput.value.replace(/\D/g, '').slice(0, 6);
   });
 
   // Buttons
@@ -48,8 +107,17 @@ document.addEventListener('DOMContentLoaded', () => {
   const finishBtn = document.getElementById('finishBtn');
   const clearSignatureBtn = document.getElementById('clearSignature');
 
-  // Consent text container
+  // Consent text container and the "I have read the agreement" checkbox
   const consentTextDiv = document.getElementById('consentText');
+  const agreementReadCheckbox = document.getElementById('agreementRead');
+  const agreementScrollHint = document.getElementById('agreementScrollHint');
+
+  // Kiosk banner listing submissions still waiting for connectivity, and the
+  // staff panel listing submissions the backend refused
+  const syncStatusBanner = document.getElementById('syncStatus');
+  const syncRejectedPanel = document.getElementById('syncRejected');
+  const syncRejectedSummary = document.getElementById('syncRejectedSummary');
+  const syncRejectedList = document.getElementById('syncRejectedList');
 
   // Signature pad setup
   const canvas = document.getElementById('signatureCanvas');
@@ -58,30 +126,205 @@ document.addEventListener('DOMContentLoaded', () => {
     backgroundColor: '#fff'
   });
 
+  // Audit trail for step 3: when the parent arrived, reached the end of the
+  // agreement, ticked the checkbox, and the timing of each signature stroke
+  let consentAudit = null;
+
+  /**
+   * Start a fresh audit trail each time the consent step is shown
+   */
+  function resetConsentAudit() {
+    consentAudit = {
+      stepEnteredAt: Date.now(),
+      scrolledToEndAt: null,
+      agreementConfirmedAt: null,
+      strokes: []
+    };
+  }
+
+  signaturePad.addEventListener('beginStroke', () => {
+    if (!consentAudit) return;
+    consentAudit.strokes.push({ startedAt: Date.now(), endedAt: null });
+  });
+
+  signaturePad.addEventListener('endStroke', () => {
+    if (!consentAudit) return;
+    const stroke = consentAudit.strokes[consentAudit.strokes.length - 1];
+    if (stroke && stroke.endedAt === null) {
+      stroke.endedAt = Date.now();
+    }
+  });
+
+  /**
+   * Enable the "I have read" checkbox once the agreement has been scrolled to
+   * the end (or immediately, if it fits without scrolling)
+   */
+  function checkAgreementScrolled() {
+    if (!consentAudit || consentAudit.scrolledToEndAt) return;
+    // a few pixels of slack for fractional scroll positions on high-DPI screens
+    const atEnd = consentTextDiv.scrollTop + consentTextDiv.clientHeight >= consentTextDiv.scrollHeight - 4;
+    if (!atEnd) return;
+    consentAudit.scrolledToEndAt = Date.now();
+    agreementReadCheckbox.disabled = false;
+    agreementScrollHint.style.display = 'none';
+  }
+
+  consentTextDiv.addEventListener('scroll', checkAgreementScrolled);
+
+  agreementReadCheckbox.addEventListener('change', () => {
+    if (!consentAudit) return;
+    consentAudit.agreementConfirmedAt = agreementReadCheckbox.checked ? Date.now() : null;
+  });
+
+  /**
+   * Details of the device the consent was signed on
+   * @returns {Object}
+   */
+  function collectDeviceInfo() {
+    return {
+      userAgent: navigator.userAgent,
+      platform: navigator.platform || null,
+      languages: navigator.languages ? Array.from(navigator.languages) : [navigator.language],
+      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || null,
+      screen: { width: window.screen.width, height: window.screen.height },
+      viewport: { width: window.innerWidth, height: window.innerHeight },
+      devicePixelRatio: window.devicePixelRatio || 1,
+      maxTouchPoints: navigator.maxTouchPoints || 0,
+      signatureCanvas: { width: canvas.offsetWidth, height: canvas.offsetHeight }
+    };
+  }
+
+  /**
+   * Assemble the audit bundle submitted with the signature
+   * @returns {Object}
+   */
+  function buildSignatureAudit() {
+    const submittedAt = Date.now();
+    const toIso = ms => (ms ? new Date(ms).toISOString() : null);
+    return {
+      signatureStrokes: signaturePad.toData(),
+      strokeTimings: consentAudit.strokes.map(stroke => ({
+        startedAt: toIso(stroke.startedAt),
+        endedAt: toIso(stroke.endedAt),
+        durationMs: stroke.endedAt ? stroke.endedAt - stroke.startedAt : null
+      })),
+      consentStepEnteredAt: toIso(consentAudit.stepEnteredAt),
+      consentStepDurationMs: submittedAt - consentAudit.stepEnteredAt,
+      agreementScrolledToEndAt: toIso(consentAudit.scrolledToEndAt),
+      agreementConfirmedAt: toIso(consentAudit.agreementConfirmedAt),
+      submittedAt: toIso(submittedAt),
+      device: collectDeviceInfo()
+    };
+  }
+
   // We no longer use a global childCount. The number shown on each child group
   // is calculated based on its position within the children container.
 
   // Track whether the mobile number corresponds to an existing customer
   let isExistingCustomer = false;
 
-  // Precompute the maximum selectable date for children (2 years ago from today)
+  // Consent wording is versioned and loaded at runtime (see consent-templates.js).
+  // acceptedConsent holds the exact text shown on step 3 with its version and hash.
+  let consentTemplatesPromise = null;
+  startLoadingConsentTemplates();
+  let acceptedConsent = null;
+
+  // Precompute the maximum selectable date for children: the youngest age
+  // accepted by any activity (see eligibility.js)
   const todayDate = new Date();
-  const twoYearsAgoDate = new Date(todayDate.getFullYear() - 2, todayDate.getMonth(), todayDate.getDate());
+  const latestEligibleDob = getLatestEligibleDob(todayDate);
 
   /**
    * Initialize a flatpickr date picker on the given input element.
    * @param {HTMLInputElement} input The date input element
    * @param {string|undefined} defaultValue Optional default date value (yyyy-mm-dd)
+   * @param {Function} [onChange] Called after the parent picks a date
    */
-  function setupDatePicker(input, defaultValue) {
+  function setupDatePicker(input, defaultValue, onChange) {
     const options = {
       dateFormat: 'Y-m-d',
-      maxDate: twoYearsAgoDate,
-      defaultDate: defaultValue || undefined
+      maxDate: latestEligibleDob,
+      defaultDate: defaultValue || undefined,
+      onChange: onChange ? () => onChange() : undefined
     };
     flatpickr(input, options);
   }
 
+  /**
+   * Parse a yyyy-mm-dd value as a local date (new Date(string) would treat it as UTC)
+   * @param {string} value
+   * @returns {Date|null}
+   */
+  function parseLocalDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    if (!match) return null;
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Human-readable age limit, e.g. "2 years" or "18 months"
+   * @param {number} months
+   * @returns {string}
+   */
+  function formatAge(months) {
+    return months % 12 === 0 ? t('age.years', { n: months / 12 }) : t('age.months', { n: months });
+  }
+
+  /**
+   * Read the values the eligibility rules need from a child group
+   * @param {HTMLElement} group
+   * @returns {{dob: Date, heightCm: (number|null)}|null} null until a DOB is chosen
+   */
+  function readEligibilityInput(group) {
+    const dob = parseLocalDate(group.querySelector("input[id^='childDOB']").value);
+    if (!dob) return null;
+    const height = parseFloat(group.querySelector("input[id^='childHeight']").value);
+    return { dob, heightCm: isNaN(height) ? null : height };
+  }
+
+  /**
+   * Show which activities a child can join, based on their DOB and height
+   * @param {HTMLElement} group
+   */
+  function renderEligibility(group) {
+    const box = group.querySelector('.child-eligibility');
+    const input = readEligibilityInput(group);
+    box.innerHTML = '';
+    if (!input) {
+      box.style.display = 'none';
+      return;
+    }
+
+    const title = document.createElement('div');
+    title.className = 'child-eligibility-title';
+    translateElement(title, 'eligibility.title');
+    box.appendChild(title);
+
+    evaluateEligibility(input).results.forEach(result => {
+      const line = document.createElement('div');
+      line.className = `eligibility-item ${result.status}`;
+      const isAgeLimit = result.reason === 'tooYoung' || result.reason === 'tooOld';
+      translateElement(line, `eligibility.${result.status === 'eligible' ? 'eligible' : result.reason}`, {
+        activity: getActivityName(result.activityId, getLanguage()),
+        limit: isAgeLimit ? formatAge(result.limit) : result.limit
+      });
+      box.appendChild(line);
+    });
+    box.style.display = 'block';
+  }
+
+  /**
+   * Load the consent templates in the background. A failed load is forgotten,
+   * so the step 3 button starts a fresh one and "try again" really retries.
+   */
+  function startLoadingConsentTemplates() {
+    consentTemplatesPromise = loadConsentTemplates();
+    consentTemplatesPromise.catch(() => {
+      consentTemplatesPromise = null;
+    });
+  }
+
   /**
    * Display the given step and hide the others
    * @param {number} stepIndex which step to show: 1, 2 or 3
@@ -111,8 +354,7 @@ document.addEventListener('DOMContentLoaded', () => {
     mobileNumberError.style.display = 'none';
     const mobileRegex = /^[6-9][0-9]{9}$/;
     if (!mobileRegex.test(mobile)) {
-      mobileNumberError.textContent =
-        'Please enter a valid 10‑digit Indian mobile number starting with 6–9.';
+      translateElement(mobileNumberError, 'error.mobile');
       mobileNumberError.style.display = 'block';
       return false;
     }
@@ -130,7 +372,7 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     const name = parentNameInput.value.trim();
     if (!name) {
-      parentNameError.textContent = 'Please enter your name.';
+      translateElement(parentNameError, 'error.parentName');
       parentNameError.style.display = 'block';
       return false;
     }
@@ -145,9 +387,11 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
   /**
-   * Create a new child input group with name and DOB fields
+   * Create a new child input group with name, DOB and safety/medical fields
    * Optionally prepopulate the values
-   * @param {Object} child optional object containing legalName/legalname, displayName/displayname, and dob (ISO string or yyyy-mm-dd)
+   * @param {Object} child optional object containing legalName/legalname, displayName/displayname, dob (ISO string or yyyy-mm-dd),
+   *   allergies, medicalConditions, emergencyContactName, emergencyContactPhone, photoConsentMarketing and photoConsentSocial
+   *   (camelCase, lowercase or snake_case keys are accepted)
    */
   function addChildGroup(child = {}) {
     const groupIndex = childrenContainer.querySelectorAll('.child-group').length + 1;
@@ -158,12 +402,12 @@ document.addEventListener('DOMContentLoaded', () => {
     // --- Header: Child N ---
     const header = document.createElement('div');
     header.className = 'child-header';
-    header.textContent = `Child ${groupIndex}`;
+    translateElement(header, 'child.header', { n: groupIndex });
     group.appendChild(header);
 
     // --- Legal Name ---
     const nameLabel = document.createElement('label');
-    nameLabel.textContent = 'Legal Name';
+    translateElement(nameLabel, 'child.legalName');
     const nameInput = document.createElement('input');
     nameInput.type = 'text';
     nameInput.required = true;
@@ -171,13 +415,18 @@ document.addEventListener('DOMContentLoaded', () => {
     // ✅ Populate legal name value and placeholder
     const legalName = child.legalName || child.legalname || child.name || '';
     nameInput.value = legalName;
-    nameInput.placeholder = legalName || "Child's legal full name";
+    if (legalName) {
+      nameInput.placeholder = legalName;
+    } else {
+      nameInput.dataset.i18nPlaceholder = 'child.legalNamePlaceholder';
+      nameInput.placeholder = t('child.legalNamePlaceholder');
+    }
 
     nameInput.id = `childName${groupIndex}`;
 
     // --- Display Name (Nick Name) ---
     const displayNameLabel = document.createElement('label');
-    displayNameLabel.textContent = 'Display Name';
+    translateElement(displayNameLabel, 'child.displayName');
     const displayNameInput = document.createElement('input');
     displayNameInput.type = 'text';
     displayNameInput.required = false;
@@ -185,7 +434,12 @@ document.addEventListener('DOMContentLoaded', () => {
     // ✅ Populate display name value and placeholder
     const displayName = child.displayName || child.displayname || child.displayName || child.nick_name || child.nickname || '';
     displayNameInput.value = displayName;
-    displayNameInput.placeholder = displayName || "Child's nickname or preferred name";
+    if (displayName) {
+      displayNameInput.placeholder = displayName;
+    } else {
+      displayNameInput.dataset.i18nPlaceholder = 'child.displayNamePlaceholder';
+      displayNameInput.placeholder = t('child.displayNamePlaceholder');
+    }
 
     displayNameInput.id = `childDisplayName${groupIndex}`;
 
@@ -193,7 +447,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // --- Date of Birth ---
     const dobLabel = document.createElement('label');
-    dobLabel.textContent = 'Date of Birth';
+    translateElement(dobLabel, 'child.dob');
 
     // // Hint under/near DOB label
     // const dobHint = document.createElement('div');
@@ -209,6 +463,25 @@ document.addEventListener('DOMContentLoaded', () => {
     dobInput.readOnly = true; // use calendar
     dobInput.placeholder = 'dd/mm/yyyy';
 
+    // --- Height (only needed for height-restricted activities) ---
+    const heightLabel = document.createElement('label');
+    translateElement(heightLabel, 'child.height');
+    const heightInput = document.createElement('input');
+    heightInput.type = 'number';
+    heightInput.inputMode = 'numeric';
+    heightInput.min = '50';
+    heightInput.max = '200';
+    heightInput.id = `childHeight${groupIndex}`;
+    heightInput.value = child.heightCm || child.heightcm || child.height_cm || '';
+    heightInput.dataset.i18nPlaceholder = 'child.heightPlaceholder';
+    heightInput.placeholder = t('child.heightPlaceholder');
+    heightInput.addEventListener('input', () => renderEligibility(group));
+
+    // Live summary of the activities this child can join
+    const eligibilityBox = document.createElement('div');
+    eligibilityBox.className = 'child-eligibility';
+    eligibilityBox.style.display = 'none';
+
     // Prepopulate date if provided
     let prepopDate;
     if (child.dob) {
@@ -220,9 +493,70 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     }
 
+    // --- Safety & Medical ---
+    const safetyHeader = document.createElement('div');
+    safetyHeader.className = 'child-subheader';
+    translateElement(safetyHeader, 'child.safetyHeader');
+
+    const allergiesLabel = document.createElement('label');
+    translateElement(allergiesLabel, 'child.allergies');
+    const allergiesInput = document.createElement('input');
+    allergiesInput.type = 'text';
+    allergiesInput.id = `childAllergies${groupIndex}`;
+    allergiesInput.value = child.allergies || '';
+    allergiesInput.dataset.i18nPlaceholder = 'child.allergiesPlaceholder';
+    allergiesInput.placeholder = t('child.allergiesPlaceholder');
+
+    const medicalLabel = document.createElement('label');
+    translateElement(medicalLabel, 'child.medical');
+    const medicalInput = document.createElement('input');
+    medicalInput.type = 'text';
+    medicalInput.id = `childMedical${groupIndex}`;
+    medicalInput.value = child.medicalConditions || child.medicalconditions || child.medical_conditions || '';
+    medicalInput.dataset.i18nPlaceholder = 'child.medicalPlaceholder';
+    medicalInput.placeholder = t('child.medicalPlaceholder');
+
+    // Alternate emergency contact – someone other than the parent filling the form
+    const emergencyNameLabel = document.createElement('label');
+    translateElement(emergencyNameLabel, 'child.emergencyName');
+    const emergencyNameInput = document.createElement('input');
+    emergencyNameInput.type = 'text';
+    emergencyNameInput.required = true;
+    emergencyNameInput.id = `childEmergencyName${groupIndex}`;
+    emergencyNameInput.value = child.emergencyContactName || child.emergencycontactname || child.emergency_contact_name || '';
+    emergencyNameInput.dataset.i18nPlaceholder = 'child.emergencyNamePlaceholder';
+    emergencyNameInput.placeholder = t('child.emergencyNamePlaceholder');
+
+    const emergencyPhoneLabel = document.createElement('label');
+    translateElement(emergencyPhoneLabel, 'child.emergencyPhone');
+    const emergencyPhoneInput = document.createElement('input');
+    emergencyPhoneInput.type = 'tel';
+    emergencyPhoneInput.inputMode = 'numeric';
+    emergencyPhoneInput.maxLength = 10;
+    emergencyPhoneInput.required = true;
+    emergencyPhoneInput.id = `childEmergencyPhone${groupIndex}`;
+    emergencyPhoneInput.value = child.emergencyContactPhone || child.emergencycontactphone || child.emergency_contact_phone || '';
+    emergencyPhoneInput.dataset.i18nPlaceholder = 'step1.mobilePlaceholder';
+    emergencyPhoneInput.placeholder = t('step1.mobilePlaceholder');
+    emergencyPhoneInput.addEventListener('input', () => {
+      emergencyPhoneInput.value = emergencyPhoneInput.value.replace(/\D/g, '').slice(0, 10);
+    });
+
+    // Optional photo consent – unticked unless the family opted in before
+    const photoMarketing = createConsentCheckbox(
+      `childPhotoMarketing${groupIndex}`,
+      'child.photoConsentMarketing',
+      isTruthy(child.photoConsentMarketing ?? child.photoconsentmarketing)
+    );
+    const photoSocial = createConsentCheckbox(
+      `childPhotoSocial${groupIndex}`,
+      'child.photoConsentSocial',
+      isTruthy(child.photoConsentSocial ?? child.photoconsentsocial)
+    );
+
     const removeBtn = document.createElement('button');
     removeBtn.type = 'button';
-    removeBtn.textContent = 'Remove';
+    translateElement(removeBtn, 'child.remove');
     removeBtn.style.backgroundColor = '#ef4444';
     removeBtn.style.marginTop = '0.5rem';
     removeBtn.addEventListener('click', () => {
@@ -238,18 +572,63 @@ document.addEventListener('DOMContentLoaded', () => {
     group.appendChild(dobLabel);
     //group.appendChild(dobHint);   // hint sits just below the DOB label
     group.appendChild(dobInput);
+    group.appendChild(heightLabel);
+    group.appendChild(heightInput);
+    group.appendChild(eligibilityBox);
+    group.appendChild(safetyHeader);
+    group.appendChild(allergiesLabel);
+    group.appendChild(allergiesInput);
+    group.appendChild(medicalLabel);
+    group.appendChild(medicalInput);
+    group.appendChild(emergencyNameLabel);
+    group.appendChild(emergencyNameInput);
+    group.appendChild(emergencyPhoneLabel);
+    group.appendChild(emergencyPhoneInput);
+    group.appendChild(photoMarketing);
+    group.appendChild(photoSocial);
     group.appendChild(removeBtn);
     childrenContainer.appendChild(group);
 
-    setupDatePicker(dobInput, prepopDate);
+    setupDatePicker(dobInput, prepopDate, () => renderEligibility(group));
+    renderEligibility(group);
 
     // First child can't be removed
     removeBtn.style.display = groupIndex === 1 ? 'none' : '';
   }
 
+  /**
+   * Build a checkbox with its label for the per-child photo consent options
+   * @param {string} id input id
+   * @param {string} labelKey translation key for the label text
+   * @param {boolean} checked initial state
+   * @returns {HTMLLabelElement}
+   */
+  function createConsentCheckbox(id, labelKey, checked) {
+    const label = document.createElement('label');
+    label.className = 'checkbox-label';
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.id = id;
+    input.checked = checked;
+    const text = document.createElement('span');
+    translateElement(text, labelKey);
+    label.appendChild(input);
+    label.appendChild(text);
+    return label;
+  }
+
+  /**
+   * Interpret boolean-ish values from the backend (true, 'true', 1, 'yes')
+   * @param {*} value
+   * @returns {boolean}
+   */
+  function isTruthy(value) {
+    return value === true || value === 1 || value === 'true' || value === 'yes';
+  }
+
   /**
    * Gather all child data from the childrenContainer
-   * @returns {Array<{legalname:string,displayname:string,dob:string}>}
+   * @returns {Array<{legalname:string,displayname:string,dob:string,heightcm:(number|null),allergies:string,medicalconditions:string,emergencycontactname:string,emergencycontactphone:string,photoconsentmarketing:boolean,photoconsentsocial:boolean}>}
    */
   function getChildData() {
     const data = [];
@@ -258,15 +637,44 @@ document.addEventListener('DOMContentLoaded', () => {
       const nameInput = group.querySelector("input[id^='childName']");
       const displayNameInput = group.querySelector("input[id^='childDisplayName']");
       const dobInput = group.querySelector("input[id^='childDOB']");
+      const heightValue = parseFloat(group.querySelector("input[id^='childHeight']").value);
       data.push({ 
         legalname: nameInput.value.trim(), 
         displayname: displayNameInput.value.trim(),
-        dob: dobInput.value 
+        dob: dobInput.value,
+        heightcm: isNaN(heightValue) ? null : heightValue,
+        allergies: group.querySelector("input[id^='childAllergies']").value.trim(),
+        medicalconditions: group.querySelector("input[id^='childMedical']").value.trim(),
+        emergencycontactname: group.querySelector("input[id^='childEmergencyName']").value.trim(),
+        emergencycontactphone: group.querySelector("input[id^='childEmergencyPhone']").value.trim(),
+        photoconsentmarketing: group.querySelector("input[id^='childPhotoMarketing']").checked,
+        photoconsentsocial: group.querySelector("input[id^='childPhotoSocial']").checked
       });
     });
     return data;
   }
 
+  /**
+   * Evaluate every child against the activity rules for submission with the consent
+   * @returns {{rulesVersion:string,evaluatedAt:string,children:Array<Object>}}
+   */
+  function buildEligibilitySummary() {
+    const groups = childrenContainer.querySelectorAll('.child-group');
+    return {
+      rulesVersion: ACTIVITY_RULES_VERSION,
+      evaluatedAt: new Date().toISOString(),
+      children: Array.from(groups).map(group => {
+        const input = readEligibilityInput(group);
+        const evaluation = input ? evaluateEligibility(input) : { results: [], eligibleActivities: [] };
+        return {
+          legalname: group.querySelector("input[id^='childName']").value.trim(),
+          eligibleActivities: evaluation.eligibleActivities,
+          results: evaluation.results
+        };
+      })
+    };
+  }
+
   /**
    * Validate children fields
    * @returns {boolean}
@@ -283,7 +691,7 @@ document.addEventListener('DOMContentLoaded', () => {
       // Show an error below the container
       const error = document.createElement('div');
       error.className = 'error child-error';
-      error.textContent = 'Please add at least one child.';
+      translateElement(error, 'error.noChildren');
       childrenContainer.appendChild(error);
       return false;
     }
@@ -296,44 +704,75 @@ document.addEventListener('DOMContentLoaded', () => {
         valid = false;
         const err = document.createElement('span');
         err.className = 'error child-error';
-        err.textContent = 'Please enter legal name and date of birth.';
+        translateElement(err, 'error.childRequired');
         group.appendChild(err);
       } else {
-        // Validate date is at least two years before today
-        const today = new Date();
-        const twoYearsAgo = new Date(today.getFullYear() - 2, today.getMonth(), today.getDate());
-        const dobDate = new Date(dobInput.value);
-        if (isNaN(dobDate.getTime())) {
+        // Validate the child is old enough for at least one activity and,
+        // given their height, actually eligible for one
+        const dobDate = parseLocalDate(dobInput.value);
+        const heightValue = group.querySelector("input[id^='childHeight']").value;
+        const input = readEligibilityInput(group);
+        if (!dobDate) {
+          valid = false;
+          const err = document.createElement('span');
+          err.className = 'error child-error';
+          translateElement(err, 'error.invalidDate');
+          group.appendChild(err);
+        } else if (dobDate > getLatestEligibleDob()) {
+          valid = false;
+          const err = document.createElement('span');
+          err.className = 'error child-error';
+          translateElement(err, 'error.minAge', { age: formatAge(getMinimumAgeMonths()) });
+          group.appendChild(err);
+        } else if (heightValue && (input.heightCm < 50 || input.heightCm > 200)) {
           valid = false;
           const err = document.createElement('span');
           err.className = 'error child-error';
-          err.textContent = 'Please select a valid date.';
+          translateElement(err, 'error.invalidHeight');
           group.appendChild(err);
-        } else if (dobDate > twoYearsAgo) {
+        } else if (evaluateEligibility(input).results.every(r => r.status === 'ineligible' && r.reason !== 'tooOld')) {
+          // Being over an activity's age limit is shown in the eligibility box, not blocked
           valid = false;
           const err = document.createElement('span');
           err.className = 'error child-error';
-          err.textContent = 'Child must be at least 2 years old.';
+          translateElement(err, 'error.notEligible');
           group.appendChild(err);
         }
       }
+
+      // Alternate emergency contact is mandatory and must not be the parent's own number
+      const emergencyName = group.querySelector("input[id^='childEmergencyName']").value.trim();
+      const emergencyPhone = group.querySelector("input[id^='childEmergencyPhone']").value.trim();
+      if (!emergencyName || !emergencyPhone) {
+        valid = false;
+        const err = document.createElement('span');
+        err.className = 'error child-error';
+        translateElement(err, 'error.emergencyRequired');
+        group.appendChild(err);
+      } else if (!/^[6-9][0-9]{9}$/.test(emergencyPhone) || emergencyPhone === mobileNumberInput.value.trim()) {
+        valid = false;
+        const err = document.createElement('span');
+        err.className = 'error child-error';
+        translateElement(err, 'error.emergencyPhone');
+        group.appendChild(err);
+      }
     });
     return valid;
   }
 
   /**
-   * Compose the consent text inserting parent and child names
+   * Compose the consent text by filling the current template with parent and child names
+   * @param {Object} template consent template selected by selectConsentTemplate()
    * @param {string} parentName
    * @param {Array<{name:string,dob:string}>} children
    */
-  function composeConsentText(parentName, children) {
+  function composeConsentText(template, parentName, children) {
     const childNames = children.map(c => {
       const legalName = c.legalname || c.name;
       const displayName = c.displayname;
       return displayName ? `${legalName} (${displayName})` : legalName;
     }).join(', ');
-    // Generic consent statement – this should be replaced with actual legal text
-    return `I, ${parentName}, as the parent/guardian of ${childNames}, hereby give consent for my child/children to participate in activities at LePlay – Little Engineers Playground, operated by FOREVER KID LLP. I acknowledge that participation involves inherent risks and agree that I will not hold the company liable for any injury or loss incurred while my child/children are on the premises. By signing below, I confirm that the information provided is accurate and that I have read and understood this consent form.`;
+    return renderConsentTemplate(template, { parentName, childNames }, getLanguage());
   }
 
   /**
@@ -348,7 +787,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
       // Update the section header
       const header = group.querySelector('.child-header');
-      if (header) header.textContent = `Child ${n}`;
+      if (header) translateElement(header, 'child.header', { n });
 
       // Keep labels generic; just ensure input IDs stay sequential
       const nameInput = group.querySelector("input[id^='childName']");
@@ -357,6 +796,11 @@ document.addEventListener('DOMContentLoaded', () => {
       if (nameInput) nameInput.id = `childName${n}`;
       if (displayNameInput) displayNameInput.id = `childDisplayName${n}`;
       if (dobInput) dobInput.id = `childDOB${n}`;
+      const idPrefixes = ['childHeight', 'childAllergies', 'childMedical', 'childEmergencyName', 'childEmergencyPhone', 'childPhotoMarketing', 'childPhotoSocial'];
+      idPrefixes.forEach(prefix => {
+        const input = group.querySelector(`input[id^='${prefix}']`);
+        if (input) input.id = `${prefix}${n}`;
+      });
 
       // First child cannot be removed
       const removeBtn = group.querySelector('button[type="button"]');
@@ -384,12 +828,17 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
   /**
-   * Fetch existing consent data for the given mobile number and prefill the form
+   * Fetch existing consent data for the given mobile number and prefill the form.
+   * Only called after OTP verification; the backend checks the token before
+   * revealing anything.
    * @param {string} mobile
+   * @param {string} otpToken verification token for this mobile
    */
-  async function fetchExistingConsent(mobile) {
+  async function fetchExistingConsent(mobile, otpToken) {
     try {
-      const response = await fetch(`https://www.littleengineersplayground.com/api/consent?mobile=${encodeURIComponent(mobile)}`);
+      const response = await fetch(`${CONSENT_API_URL}?mobile=${encodeURIComponent(mobile)}`, {
+        headers: { 'X-OTP-Token': otpToken }
+      });
 
       if (!response.ok) return;
 
@@ -407,20 +856,98 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
-  // Event: Next from mobile number to details
-  nextToDetailsBtn.addEventListener('click', async () => {
-    if (!validateMobile()) return;
+  /**
+   * Forget any code sent or verification done for the previous number
+   */
+  function resetOtp() {
+    otpRequestId = null;
+    otpVerification = null;
+    unverifiedMobile = null;
+    otpCodeInput.value = '';
+    otpError.style.display = 'none';
+    otpDevHint.style.display = 'none';
+    otpSection.style.display = 'none';
+    offlineOtpSection.style.display = 'none';
+    nextToDetailsBtn.style.display = '';
+    if (resendTimerId) {
+      clearInterval(resendTimerId);
+      resendTimerId = null;
+    }
+  }
+
+  /**
+   * Disable the resend button for a short cooldown, showing the countdown
+   */
+  function startResendCooldown() {
+    let remaining = OTP_RESEND_COOLDOWN_SECONDS;
+    resendOtpBtn.disabled = true;
+    translateElement(resendOtpBtn, 'step1.resendIn', { seconds: remaining });
+    if (resendTimerId) clearInterval(resendTimerId);
+    resendTimerId = setInterval(() => {
+      remaining -= 1;
+      if (remaining <= 0) {
+        clearInterval(resendTimerId);
+        resendTimerId = null;
+        resendOtpBtn.disabled = false;
+        translateElement(resendOtpBtn, 'step1.resend');
+      } else {
+        translateElement(resendOtpBtn, 'step1.resendIn', { seconds: remaining });
+      }
+    }, 1000);
+  }
+
+  /**
+   * Ask the OTP provider to send a code to the entered mobile number
+   */
+  async function sendOtp() {
+    const mobile = mobileNumberInput.value.trim();
+    otpError.style.display = 'none';
+    try {
+      nextToDetailsBtn.disabled = true;
+      resendOtpBtn.disabled = true;
+      const result = await otpProvider.send(mobile);
+      otpRequestId = result.requestId;
 
+      translateElement(otpSentMessage, 'step1.otpSent', { mobile });
+      if (result.devCode) {
+        translateElement(otpDevHint, 'step1.devCode', { code: result.devCode });
+        otpDevHint.style.display = 'block';
+      }
+      otpSection.style.display = 'block';
+      nextToDetailsBtn.style.display = 'none';
+      otpCodeInput.value = '';
+      otpCodeInput.focus();
+      startResendCooldown();
+    } catch (err) {
+      console.error('Error sending OTP:', err);
+      translateElement(mobileNumberError, 'error.otpSendFailed');
+      mobileNumberError.style.display = 'block';
+      resendOtpBtn.disabled = false;
+      if (!draftAwaitingVerification && (!navigator.onLine || err instanceof TypeError)) {
+        // fetch rejects with a TypeError when the request never left the device
+        offlineOtpSection.style.display = 'block';
+      }
+    } finally {
+      nextToDetailsBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Reset the details step for a new number and show it, prefilled from any
+   * existing consent when the number has been verified
+   * @param {string} mobile
+   */
+  async function openDetailsStep(mobile) {
     // 🔄 hard reset of previous state
     isExistingCustomer = false;
     parentNameInput.readOnly = false;
     parentNameInput.value = '';
     childrenContainer.innerHTML = '';
 
-    const mobile = mobileNumberInput.value.trim();
-
-    // fetch and prefill if exists
-    await fetchExistingConsent(mobile);
+    // fetch and prefill if exists (never for an unverified number)
+    if (otpVerification) {
+      await fetchExistingConsent(mobile, otpVerification.token);
+    }
 
     // always show name
     parentNameSection.style.display = 'block';
@@ -430,6 +957,116 @@ document.addEventListener('DOMContentLoaded', () => {
     if (childrenContainer.children.length === 0) addChildGroup();
 
     showStep(2);
+  }
+
+  // Event: Send verification code
+  nextToDetailsBtn.addEventListener('click', async () => {
+    if (!validateMobile()) return;
+    if (!navigator.onLine && !draftAwaitingVerification) {
+      // No code can be sent; offer to fill in the form now and verify later
+      offlineOtpSection.style.display = 'block';
+      return;
+    }
+    await sendOtp();
+  });
+
+  // Event: Fill in the form while no code can be sent; it is kept as a draft until verified
+  continueOfflineBtn.addEventListener('click', async () => {
+    if (!validateMobile()) return;
+    const mobile = mobileNumberInput.value.trim();
+    otpVerification = null;
+    unverifiedMobile = mobile;
+    await openDetailsStep(mobile);
+  });
+
+  /**
+   * Ask for the code that lets a signed draft be submitted, sending it now
+   * if the kiosk is online and otherwise once it is
+   * @param {Object} entry - The draft's queue entry
+   */
+  function startDraftVerification(entry) {
+    resetOtp();
+    draftAwaitingVerification = entry.id;
+    mobileNumberInput.value = entry.payload.mobile;
+    mobileNumberInput.readOnly = true;
+    mobileNumberError.style.display = 'none';
+    draftNotice.style.display = 'block';
+    showStep(1);
+    if (navigator.onLine) {
+      sendOtp();
+    }
+  }
+
+  // Event: Leave the draft for staff (see the sync banner) and start a fresh form
+  leaveDraftBtn.addEventListener('click', () => {
+    window.location.reload();
+  });
+
+  // Send the code for a waiting draft as soon as the kiosk is back online
+  window.addEventListener('online', () => {
+    if (draftAwaitingVerification && !otpRequestId) {
+      sendOtp();
+    }
+  });
+
+  /**
+   * Queue the draft waiting for this number now that it is verified, and
+   * continue to the completion page
+   */
+  function submitVerifiedDraft() {
+    const id = draftAwaitingVerification;
+    draftAwaitingVerification = null;
+    mobileNumberInput.readOnly = false;
+    draftNotice.style.display = 'none';
+    verifyConsentDraft(id, otpVerification.token);
+    window.location.href = `complete.html?pending=${encodeURIComponent(id)}`;
+  }
+
+  // Event: Resend verification code
+  resendOtpBtn.addEventListener('click', async () => {
+    if (!validateMobile()) return;
+    await sendOtp();
+  });
+
+  // Event: Verify code, then continue from mobile number to details
+  verifyOtpBtn.addEventListener('click', async () => {
+    if (!validateMobile()) return;
+
+    const mobile = mobileNumberInput.value.trim();
+    const code = otpCodeInput.value.trim();
+    otpError.style.display = 'none';
+    if (!/^\d{6}$/.test(code)) {
+      translateElement(otpError, 'error.otpRequired');
+      otpError.style.display = 'block';
+      return;
+    }
+
+    try {
+      verifyOtpBtn.disabled = true;
+      const result = await otpProvider.verify(mobile, code, otpRequestId);
+      if (!result.verified) {
+        translateElement(otpError, 'error.otpInvalid');
+        otpError.style.display = 'block';
+        return;
+      }
+      otpVerification = { mobile, token: result.token };
+    } catch (err) {
+      console.error('Error verifying OTP:', err);
+      translateElement(otpError, 'error.otpSendFailed');
+      otpError.style.display = 'block';
+      if (!draftAwaitingVerification && (!navigator.onLine || err instanceof TypeError)) {
+        offlineOtpSection.style.display = 'block';
+      }
+      return;
+    } finally {
+      verifyOtpBtn.disabled = false;
+    }
+
+    if (draftAwaitingVerification) {
+      submitVerifiedDraft();
+      return;
+    }
+    await openDetailsStep(mobile);
   });
 
   // Event: Add child
@@ -444,22 +1081,50 @@ document.addEventListener('DOMContentLoaded', () => {
     parentNameInput.readOnly = false;
     parentNameInput.value = '';
     childrenContainer.innerHTML = '';
+    resetOtp();
     showStep(1);
   });
 
   // Event: Next to consent (signature)
-  nextToConsentBtn.addEventListener('click', () => {
+  nextToConsentBtn.addEventListener('click', async () => {
     // Validate parent name if required
     if (!validateParentNameIfNeeded()) return;
     if (!validateChildren()) return;
     const parentName = isExistingCustomer ? parentNameInput.value.trim() : parentNameInput.value.trim();
     const children = getChildData();
-    const consent = composeConsentText(parentName, children);
-    consentTextDiv.textContent = consent;
+
+    let template;
+    try {
+      if (!consentTemplatesPromise) {
+        startLoadingConsentTemplates(); // the earlier attempt failed
+      }
+      template = selectConsentTemplate(await consentTemplatesPromise);
+      if (!template) throw new Error('No consent agreement is in effect today');
+      const text = composeConsentText(template, parentName, children);
+      acceptedConsent = {
+        version: template.version,
+        text,
+        hash: await hashConsentText(text)
+      };
+    } catch (err) {
+      console.error('Error preparing consent text:', err);
+      alert(t('alert.templateUnavailable'));
+      return;
+    }
+
+    consentTextDiv.textContent = acceptedConsent.text;
+    consentTextDiv.scrollTop = 0;
+    // The agreement may have changed, so it has to be read (and signed) again
+    agreementReadCheckbox.checked = false;
+    agreementReadCheckbox.disabled = true;
+    agreementScrollHint.style.display = '';
+    signaturePad.clear();
+    resetConsentAudit();
     showStep(3);
     // Adjust canvas dimensions to match container size. Without this the
     // signature pad may behave unexpectedly on mobile devices.
     resizeCanvas();
+    checkAgreementScrolled();
   });
 
   // Event: Back to details from consent
@@ -470,6 +1135,7 @@ document.addEventListener('DOMContentLoaded', () => {
   // Event: Clear signature canvas
   clearSignatureBtn.addEventListener('click', () => {
     signaturePad.clear();
+    if (consentAudit) consentAudit.strokes = [];
   });
 
   /**
@@ -490,11 +1156,168 @@ document.addEventListener('DOMContentLoaded', () => {
   // Resize the canvas when window resized
   window.addEventListener('resize', resizeCanvas);
 
+  /**
+   * Keep a copy of what the parent signed for the PDF receipt on complete.html
+   * @param {Object} payload
+   */
+  function storeConsentReceipt(payload) {
+    saveConsentReceipt({
+      clientSubmissionId: payload.clientSubmissionId,
+      parentName: payload.parentName,
+      mobile: payload.mobile,
+      children: payload.children.map(child => ({
+        legalname: child.legalname,
+        displayname: child.displayname,
+        dob: child.dob
+      })),
+      consentText: acceptedConsent.text,
+      consentTemplateVersion: payload.consentTemplateVersion,
+      consentTextHash: payload.consentTextHash,
+      language: payload.language,
+      signature: payload.signature,
+      signedAt: payload.audit.submittedAt
+    });
+  }
+
+  /**
+   * Store a submission for later sync and continue to the completion page.
+   * The parent still gets their check-in QR; the kiosk uploads in the background.
+   * @param {Object} payload
+   */
+  function queueOfflineSubmission(payload) {
+    let entry;
+    try {
+      entry = queueConsentSubmission(payload);
+    } catch (err) {
+      console.error('Could not store consent for offline sync:', err);
+      alert(t('alert.offlineStoreFailed'));
+      return;
+    }
+    storeConsentReceipt(payload);
+    const redirectUrl = `complete.html?pending=${encodeURIComponent(entry.id)}`;
+    window.location.href = redirectUrl;
+  }
+
+  /**
+   * Keep a consent signed for a number that could not be verified yet, and
+   * ask for the code before it is submitted
+   * @param {Object} payload - Without an otpToken
+   */
+  function saveDraftForVerification(payload) {
+    let entry;
+    try {
+      entry = queueConsentSubmission(payload, 'unverified');
+    } catch (err) {
+      console.error('Could not store consent draft:', err);
+      alert(t('alert.offlineStoreFailed'));
+      return;
+    }
+    storeConsentReceipt(payload);
+    updateSyncStatus();
+    startDraftVerification(entry);
+  }
+
+  /**
+   * Show how many signed consents are still waiting to be uploaded from this device
+   */
+  function updateSyncStatus() {
+    if (!syncStatusBanner) return;
+    const count = getPendingCount();
+    if (count === 1) {
+      translateElement(syncStatusBanner, 'sync.pendingOne');
+    } else {
+      translateElement(syncStatusBanner, 'sync.pendingMany', { count });
+    }
+    syncStatusBanner.style.display = count > 0 ? 'block' : 'none';
+    updateSubmissionsNeedingStaff();
+  }
+
+  /**
+   * List the submissions the backend refused, and the drafts still waiting
+   * for a code, so staff can retry, verify or remove them. Only the time, the
+   * last digits of the number and the backend's reason are shown, as the
+   * kiosk is in front of other parents.
+   */
+  function updateSubmissionsNeedingStaff() {
+    if (!syncRejectedPanel) return;
+    const entries = getSubmissionsNeedingStaff();
+    syncRejectedPanel.style.display = entries.length > 0 ? 'block' : 'none';
+    if (entries.length === 1) {
+      translateElement(syncRejectedSummary, 'sync.rejectedOne');
+    } else {
+      translateElement(syncRejectedSummary, 'sync.rejectedMany', { count: entries.length });
+    }
+
+    syncRejectedList.innerHTML = '';
+    entries.forEach(entry => {
+      const payload = entry.payload || {};
+      const item = document.createElement('li');
+      const unverified = entry.status === 'unverified';
+
+      const details = document.createElement('span');
+      translateElement(details, unverified ? 'sync.unverifiedEntry' : 'sync.rejectedEntry', {
+        time: new Date(entry.queuedAt).toLocaleString(),
+        last4: String(payload.mobile || '').slice(-4),
+        children: (payload.children || []).length,
+        message: entry.message || ''
+      });
+
+      // A draft needs the family's code; a refused submission can only be sent again
+      const retryBtn = document.createElement('button');
+      retryBtn.type = 'button';
+      retryBtn.className = 'link-button';
+      translateElement(retryBtn, unverified ? 'sync.verify' : 'sync.retry');
+      retryBtn.addEventListener('click', () => {
+        if (unverified) {
+          startDraftVerification(entry);
+          return;
+        }
+        retryRejectedSubmission(entry.id);
+        updateSyncStatus();
+      });
+
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'link-button';
+      translateElement(removeBtn, 'sync.remove');
+      removeBtn.addEventListener('click', () => {
+        if (!confirm(t('sync.confirmRemove'))) return;
+        removePendingSubmission(entry.id);
+        if (draftAwaitingVerification === entry.id) {
+          draftAwaitingVerification = null;
+          mobileNumberInput.readOnly = false;
+          draftNotice.style.display = 'none';
+        }
+        updateSyncStatus();
+      });
+
+      item.append(details, retryBtn, removeBtn);
+      syncRejectedList.appendChild(item);
+    });
+  }
+
+  // Language switcher on step 1
+  document.querySelectorAll('.lang-option').forEach(btn => {
+    btn.addEventListener('click', () => setLanguage(btn.dataset.lang));
+  });
+  applyTranslations();
+
+  window.addEventListener('consent-sync', updateSyncStatus);
+  window.addEventListener('online', updateSyncStatus);
+  updateSyncStatus();
+  startConsentSync();
+
   // Event: Submit consent form and signature
   finishBtn.addEventListener('click', async () => {
+    // The agreement must have been read before it is signed
+    if (!agreementReadCheckbox.checked) {
+      alert(t('alert.agreementRequired'));
+      return;
+    }
+
     // Validate signature
     if (signaturePad.isEmpty()) {
-      alert('Please provide your signature before finishing.');
+      alert(t('alert.signatureRequired'));
       return;
     }
     
@@ -505,7 +1328,16 @@ document.addEventListener('DOMContentLoaded', () => {
     console.log('Mobile number from input:', mobile); // Debug log
     
     if (!mobile) {
-      alert('Mobile number is missing. Please go back and enter your mobile number.');
+      alert(t('alert.mobileMissing'));
+      return;
+    }
+
+    // Never submit for a number the parent has not proven they own; one
+    // that could not be verified yet is only kept as a draft (see below)
+    const verified = Boolean(otpVerification && otpVerification.mobile === mobile);
+    if (!verified && unverifiedMobile !== mobile) {
+      alert(t('alert.otpRequired'));
+      showStep(1);
       return;
     }
     
@@ -518,26 +1350,59 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Construct payload
     const payload = {
+      clientSubmissionId: generateSubmissionId(),
       parentName,
       mobile,
       children,
-      signature: signatureDataUrl
+      signature: signatureDataUrl,
+      language: getLanguage(),
+      otpToken: verified ? otpVerification.token : null,
+      eligibility: buildEligibilitySummary(),
+      consentTemplateVersion: acceptedConsent.version,
+      consentTextHash: acceptedConsent.hash,
+      audit: buildSignatureAudit()
     };
     try {
       finishBtn.disabled = true;
-      finishBtn.textContent = 'Submitting…';
+      finishBtn.textContent = t('step3.submitting');
+
+      if (!verified) {
+        // Kept on this device until the parent enters a code for the number
+        saveDraftForVerification(payload);
+        return;
+      }
+
+      if (!navigator.onLine) {
+        // No point waiting for a request that cannot leave the device
+        queueOfflineSubmission(payload);
+        return;
+      }
       
-      console.log('Submitting to:', 'https://www.littleengineersplayground.com/api/consent'); // Debug log
+      console.log('Submitting to:', CONSENT_API_URL); // Debug log
       console.log('Payload:', JSON.stringify(payload, null, 2)); // Debug log
       
-      const response = await fetch('https://www.littleengineersplayground.com/api/consent', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      });
+      let response;
+      try {
+        response = await fetch(CONSENT_API_URL, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(payload)
+        });
+      } catch (networkErr) {
+        // fetch only rejects when the request never completed (Wi‑Fi dropped, DNS failure…)
+        console.warn('Network error submitting consent, queueing for sync:', networkErr);
+        queueOfflineSubmission(payload);
+        return;
+      }
       
       console.log('Response status:', response.status); // Debug log
       console.log('Response ok:', response.ok); // Debug log
+
+      if (!response.ok && isRetryableStatus(response.status)) {
+        console.warn('Backend temporarily unavailable, queueing consent for sync:', response.status);
+        queueOfflineSubmission(payload);
+        return;
+      }
       
       if (!response.ok) {
         const errorText = await response.text();
@@ -548,12 +1413,15 @@ document.addEventListener('DOMContentLoaded', () => {
       // Expect JSON response { success: true }
       const result = await response.json();
       console.log('Backend response:', result); // Debug log
-      console.log('Redirecting with mobile:', mobile); // Debug log
       
       if (result && result.success) {
-        // Redirect to completion page with mobile parameter
+        // Redirect to completion page with the signed check-in token
         // Use .html extension for Vercel compatibility
-        const redirectUrl = `complete.html?mobile=${encodeURIComponent(mobile)}`;
+        if (!result.checkInToken) {
+          console.error('Backend response did not include a check-in token:', result);
+        }
+        storeConsentReceipt(payload);
+        const redirectUrl = `complete.html#token=${encodeURIComponent(result.checkInToken || '')}`;
         console.log('Redirect URL:', redirectUrl); // Debug log
         window.location.href = redirectUrl;
       } else {
@@ -561,9 +1429,9 @@ document.addEventListener('DOMContentLoaded', () => {
         
         // Handle specific error messages
         if (result.message && result.message.includes('already submitted')) {
-          alert(`⚠️ Form Already Submitted Today\n\nThis mobile number has already submitted a consent form today. \n\nIf you need to add more children, please:\n• Contact the facility staff, or\n• Try again tomorrow, or\n• Use a different mobile number\n\nNote: You can register multiple children in a single form submission.`);
+          alert(t('alert.alreadySubmitted'));
         } else {
-          alert(`Submission failed: ${result.message || 'Unknown error. Please try again.'}`);
+          alert(t('alert.submissionFailed', { message: result.message || t('alert.unknownError') }));
         }
       }
     } catch (err) {
@@ -573,10 +1441,10 @@ document.addEventListener('DOMContentLoaded', () => {
         stack: err.stack,
         name: err.name
       });
-      alert(`An error occurred while submitting your consent: ${err.message}. Please try again later.`);
+      alert(t('alert.submitError', { message: err.message }));
     } finally {
       finishBtn.disabled = false;
-      finishBtn.textContent = 'Finish';
+      finishBtn.textContent = t('step3.finish');
     }
   });
 });
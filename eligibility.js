@@ -0,0 +1,136 @@
+/*
+ * eligibility.js – Age and height rules per activity
+ *
+ * Each play zone has its own limits, so instead of a single hardcoded
+ * minimum age the consent form evaluates every child against the rules
+ * below during step 2 and shows the parent which activities the child can
+ * join. The youngest allowed age across all activities becomes the limit
+ * of the date-of-birth picker. The evaluation is submitted with the
+ * consent, tagged with ACTIVITY_RULES_VERSION.
+ *
+ * Ages are in whole months, heights in centimetres; null means no limit.
+ * An upper age limit only keeps a child off that activity; it never stops
+ * the consent form, since older children can still visit the playground.
+ * Bump ACTIVITY_RULES_VERSION whenever a rule changes.
+ */
+
+const ACTIVITY_RULES_VERSION = '2025-11-v2';
+
+const ACTIVITY_RULES = [
+  {
+    id: 'construction-play',
+    name: {
+      en: 'Construction Play Area',
+      kn: 'ನಿರ್ಮಾಣ ಆಟದ ಪ್ರದೇಶ',
+      hi: 'निर्माण खेल क्षेत्र',
+      ta: 'கட்டுமான விளையாட்டுப் பகுதி'
+    },
+    minAgeMonths: 24,
+    maxAgeMonths: null,
+    minHeightCm: null,
+    maxHeightCm: null
+  },
+  {
+    id: 'little-speedsters',
+    name: {
+      en: 'Little Speedsters Go-Karting',
+      kn: 'ಲಿಟಲ್ ಸ್ಪೀಡ್‌ಸ್ಟರ್ಸ್ ಗೋ-ಕಾರ್ಟಿಂಗ್',
+      hi: 'लिटिल स्पीडस्टर्स गो-कार्टिंग',
+      ta: 'லிட்டில் ஸ்பீட்ஸ்டர்ஸ் கோ-கார்டிங்'
+    },
+    minAgeMonths: 48,
+    maxAgeMonths: 144,
+    minHeightCm: 100,
+    maxHeightCm: 150
+  }
+];
+
+/**
+ * Whole months between a date of birth and a given day
+ * @param {Date} dob
+ * @param {Date} onDate
+ * @returns {number}
+ */
+function ageInMonths(dob, onDate = new Date()) {
+  let months = (onDate.getFullYear() - dob.getFullYear()) * 12 + (onDate.getMonth() - dob.getMonth());
+  if (onDate.getDate() < dob.getDate()) {
+    months -= 1;
+  }
+  return months;
+}
+
+/**
+ * Youngest age, in months, accepted by any activity
+ * @returns {number}
+ */
+function getMinimumAgeMonths() {
+  return Math.min(...ACTIVITY_RULES.map(rule => rule.minAgeMonths || 0));
+}
+
+/**
+ * Latest date of birth a child may have to be accepted for at least one activity
+ * @param {Date} onDate
+ * @returns {Date}
+ */
+function getLatestEligibleDob(onDate = new Date()) {
+  return new Date(onDate.getFullYear(), onDate.getMonth() - getMinimumAgeMonths(), onDate.getDate());
+}
+
+/**
+ * Evaluate one activity rule for a child
+ * @param {Object} rule - Entry from ACTIVITY_RULES
+ * @param {{dob: Date, heightCm: (number|null)}} child
+ * @param {Date} onDate
+ * @returns {{activityId: string, status: string, reason: (string|null), limit: (number|null)}}
+ *   status is 'eligible', 'ineligible' or 'needsHeight' (a height limit applies but no height was given)
+ */
+function evaluateActivity(rule, child, onDate = new Date()) {
+  const age = ageInMonths(child.dob, onDate);
+  const result = (status, reason = null, limit = null) => ({ activityId: rule.id, status, reason, limit });
+
+  if (rule.minAgeMonths !== null && age < rule.minAgeMonths) {
+    return result('ineligible', 'tooYoung', rule.minAgeMonths);
+  }
+  if (rule.maxAgeMonths !== null && age >= rule.maxAgeMonths) {
+    return result('ineligible', 'tooOld', rule.maxAgeMonths);
+  }
+
+  const hasHeightLimit = rule.minHeightCm !== null || rule.maxHeightCm !== null;
+  if (hasHeightLimit && !child.heightCm) {
+    return result('needsHeight', 'heightRequired', rule.minHeightCm);
+  }
+  if (rule.minHeightCm !== null && child.heightCm < rule.minHeightCm) {
+    return result('ineligible', 'tooShort', rule.minHeightCm);
+  }
+  if (rule.maxHeightCm !== null && child.heightCm > rule.maxHeightCm) {
+    return result('ineligible', 'tooTall', rule.maxHeightCm);
+  }
+
+  return result('eligible');
+}
+
+/**
+ * Evaluate every activity for a child
+ * @param {{dob: Date, heightCm: (number|null)}} child
+ * @param {Date} onDate
+ * @returns {{results: Array<Object>, eligibleActivities: Array<string>}}
+ */
+function evaluateEligibility(child, onDate = new Date()) {
+  const results = ACTIVITY_RULES.map(rule => evaluateActivity(rule, child, onDate));
+  return {
+    results,
+    eligibleActivities: results.filter(r => r.status === 'eligible').map(r => r.activityId)
+  };
+}
+
+/**
+ * Activity name in the requested language
+ * @param {string} activityId
+ * @param {string} language
+ * @returns {string}
+ */
+function getActivityName(activityId, language = 'en') {
+  const rule = ACTIVITY_RULES.find(r => r.id === activityId);
+  if (!rule) return activityId;
+  return rule.name[language] || rule.name.en;
+}
@@ -0,0 +1,511 @@
+/*
+ * i18n.js – Translations for the consent form
+ *
+ * Parents can complete the consent flow in English, Kannada, Hindi or Tamil.
+ * Static markup opts in with attributes:
+ *
+ *   <h2 data-i18n="step1.title">Welcome to LePlay</h2>
+ *   <input data-i18n-placeholder="step1.mobilePlaceholder" />
+ *
+ * Elements created from JavaScript use translateElement() so they are
+ * re-translated when the parent switches language. Strings may contain
+ * {name} parameters, supplied via t(key, params) or a data-i18n-args JSON
+ * attribute. Missing keys fall back to English.
+ *
+ * The consent agreement itself is translated in consent-templates.json.
+ */
+
+const SUPPORTED_LANGUAGES = {
+  en: 'English',
+  kn: 'ಕನ್ನಡ',
+  hi: 'हिन्दी',
+  ta: 'தமிழ்'
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+const TRANSLATIONS = {
+  en: {
+    'header.title': 'Digital Consent Form',
+    'header.subtitle': "India's First Kids Construction & Engineering Themed Play Area",
+    'language.label': 'Language',
+    'common.next': 'Next',
+    'common.back': 'Back',
+    'step1.title': 'Welcome to LePlay',
+    'step1.intro': 'Please enter your mobile number to continue.',
+    'step1.mobileLabel': 'Mobile Number',
+    'step1.mobilePlaceholder': '10‑digit mobile number',
+    'step1.sendCode': 'Send Code',
+    'step1.otpLabel': 'Verification Code',
+    'step1.otpPlaceholder': '6‑digit code',
+    'step1.otpSent': 'We sent a 6‑digit code to {mobile}.',
+    'step1.verify': 'Verify & Continue',
+    'step1.resend': 'Resend code',
+    'step1.resendIn': 'Resend code in {seconds}s',
+    'step1.offlineNote': 'This device is offline, so we can\'t send a code right now. You can fill in and sign the form now; it stays on this device and is only submitted once you enter the code we send when the connection returns.',
+    'step1.continueOffline': 'Fill in the form now, verify later',
+    'step1.draftSaved': 'Your signed form is saved on this device. It will be submitted once you enter the code we send to your number; if we\'re offline, the code is sent as soon as the connection returns.',
+    'step1.leaveDraft': 'Start a new form (this one stays saved for staff)',
+    'step1.devCode': 'Development code: {code}',
+    'step2.title': 'Your Details',
+    'step2.parentNameLabel': 'Parent/Guardian Name',
+    'step2.parentNamePlaceholder': 'Your full name',
+    'step2.childrenTitle': 'Children Details',
+    'step2.noticeStrong': 'Important:',
+    'step2.notice': 'Please add ALL children who will be visiting today in this single form. Only one consent form per mobile number is allowed per day.',
+    'step2.addChild': '+ Add Child',
+    'step3.title': 'Consent Agreement',
+    'step3.signatureLabel': 'Your Signature',
+    'step3.clearSignature': 'Clear Signature',
+    'step3.finish': 'Finish',
+    'step3.submitting': 'Submitting…',
+    'step3.scrollHint': 'Scroll to the end of the agreement to continue.',
+    'step3.readAgreement': 'I have read and understood the agreement above',
+    'child.header': 'Child {n}',
+    'child.legalName': 'Legal Name',
+    'child.legalNamePlaceholder': "Child's legal full name",
+    'child.displayName': 'Display Name',
+    'child.displayNamePlaceholder': "Child's nickname or preferred name",
+    'child.dob': 'Date of Birth',
+    'child.height': 'Height (cm)',
+    'child.heightPlaceholder': 'Optional – needed for height-restricted activities',
+    'eligibility.title': 'Activities',
+    'eligibility.eligible': '✅ {activity}',
+    'eligibility.tooYoung': '⛔ {activity} – from {limit}',
+    'eligibility.tooOld': '⛔ {activity} – under {limit} only',
+    'eligibility.tooShort': '⛔ {activity} – minimum height {limit} cm',
+    'eligibility.tooTall': '⛔ {activity} – maximum height {limit} cm',
+    'eligibility.heightRequired': '📏 {activity} – enter height to check (minimum {limit} cm)',
+    'age.years': '{n} years',
+    'age.months': '{n} months',
+    'child.remove': 'Remove',
+    'child.safetyHeader': 'Safety & Medical',
+    'child.allergies': 'Allergies',
+    'child.allergiesPlaceholder': 'e.g. peanuts, dust – leave blank if none',
+    'child.medical': 'Medical Conditions',
+    'child.medicalPlaceholder': 'e.g. asthma, epilepsy – leave blank if none',
+    'child.emergencyName': 'Emergency Contact Name',
+    'child.emergencyNamePlaceholder': 'Someone other than you we can call',
+    'child.emergencyPhone': 'Emergency Contact Mobile',
+    'child.photoConsentMarketing': 'I allow photos of this child in LePlay promotional material',
+    'child.photoConsentSocial': 'I allow photos of this child on LePlay social media',
+    'error.mobile': 'Please enter a valid 10‑digit Indian mobile number starting with 6–9.',
+    'error.parentName': 'Please enter your name.',
+    'error.noChildren': 'Please add at least one child.',
+    'error.childRequired': 'Please enter legal name and date of birth.',
+    'error.invalidDate': 'Please select a valid date.',
+    'error.minAge': 'Child must be at least {age} old.',
+    'error.notEligible': 'This child is not eligible for any of our activities.',
+    'error.invalidHeight': 'Please enter a height between 50 and 200 cm.',
+    'error.emergencyRequired': 'Please enter an emergency contact name and mobile number.',
+    'error.emergencyPhone': 'Emergency contact must be a valid 10‑digit mobile number different from yours.',
+    'error.otpRequired': 'Please enter the 6‑digit code sent to your mobile.',
+    'error.otpInvalid': 'That code is incorrect or has expired. Please try again.',
+    'error.otpSendFailed': 'We could not send a verification code. Please check your connection and try again.',
+    'alert.signatureRequired': 'Please provide your signature before finishing.',
+    'alert.agreementRequired': 'Please scroll through the agreement and confirm you have read it before finishing.',
+    'alert.mobileMissing': 'Mobile number is missing. Please go back and enter your mobile number.',
+    'alert.otpRequired': 'Please verify your mobile number before submitting.',
+    'alert.templateUnavailable': 'The consent agreement could not be loaded. Please check your connection and try again, or ask a staff member for help.',
+    'alert.offlineStoreFailed': 'You appear to be offline and this device could not save your consent. Please ask a staff member for help.',
+    'alert.alreadySubmitted': '⚠️ Form Already Submitted Today\n\nThis mobile number has already submitted a consent form today. \n\nIf you need to add more children, please:\n• Contact the facility staff, or\n• Try again tomorrow, or\n• Use a different mobile number\n\nNote: You can register multiple children in a single form submission.',
+    'alert.submissionFailed': 'Submission failed: {message}',
+    'alert.unknownError': 'Unknown error. Please try again.',
+    'alert.submitError': 'An error occurred while submitting your consent: {message}. Please try again later.',
+    'sync.pendingOne': '⏳ 1 consent form pending sync',
+    'sync.pendingMany': '⏳ {count} consent forms pending sync',
+    'sync.rejectedOne': '⚠️ 1 consent form could not be uploaded – staff, tap to review',
+    'sync.rejectedMany': '⚠️ {count} consent forms could not be uploaded – staff, tap to review',
+    'sync.rejectedEntry': 'Signed {time} · mobile ending {last4} · {children} child(ren) – {message}',
+    'sync.unverifiedEntry': 'Signed {time} · mobile ending {last4} · {children} child(ren) – waiting for the number to be verified',
+    'sync.verify': 'Verify now',
+    'sync.retry': 'Retry',
+    'sync.remove': 'Remove',
+    'sync.confirmRemove': 'Remove this consent form from the device? It was not stored, so the family will need to sign again.'
+  },
+
+  kn: {
+    'header.title': 'ಡಿಜಿಟಲ್ ಒಪ್ಪಿಗೆ ಪತ್ರ',
+    'header.subtitle': 'ಭಾರತದ ಮೊದಲ ಮಕ್ಕಳ ನಿರ್ಮಾಣ ಮತ್ತು ಎಂಜಿನಿಯರಿಂಗ್ ಥೀಮ್ ಆಟದ ಪ್ರದೇಶ',
+    'language.label': 'ಭಾಷೆ',
+    'common.next': 'ಮುಂದೆ',
+    'common.back': 'ಹಿಂದೆ',
+    'step1.title': 'LePlay ಗೆ ಸ್ವಾಗತ',
+    'step1.intro': 'ಮುಂದುವರಿಯಲು ದಯವಿಟ್ಟು ನಿಮ್ಮ ಮೊಬೈಲ್ ಸಂಖ್ಯೆಯನ್ನು ನಮೂದಿಸಿ.',
+    'step1.mobileLabel': 'ಮೊಬೈಲ್ ಸಂಖ್ಯೆ',
+    'step1.mobilePlaceholder': '10 ಅಂಕಿಯ ಮೊಬೈಲ್ ಸಂಖ್ಯೆ',
+    'step1.sendCode': 'ಕೋಡ್ ಕಳುಹಿಸಿ',
+    'step1.otpLabel': 'ಪರಿಶೀಲನಾ ಕೋಡ್',
+    'step1.otpPlaceholder': '6 ಅಂಕಿಯ ಕೋಡ್',
+    'step1.otpSent': '{mobile} ಗೆ 6 ಅಂಕಿಯ ಕೋಡ್ ಕಳುಹಿಸಲಾಗಿದೆ.',
+    'step1.verify': 'ಪರಿಶೀಲಿಸಿ ಮತ್ತು ಮುಂದುವರಿಸಿ',
+    'step1.resend': 'ಕೋಡ್ ಮತ್ತೆ ಕಳುಹಿಸಿ',
+    'step1.resendIn': '{seconds} ಸೆಕೆಂಡುಗಳಲ್ಲಿ ಕೋಡ್ ಮತ್ತೆ ಕಳುಹಿಸಿ',
+    'step1.offlineNote': 'ಈ ಸಾಧನ ಆಫ್‌ಲೈನ್‌ನಲ್ಲಿದೆ, ಆದ್ದರಿಂದ ಈಗ ಕೋಡ್ ಕಳುಹಿಸಲು ಸಾಧ್ಯವಿಲ್ಲ. ನೀವು ಈಗಲೇ ಪತ್ರವನ್ನು ಭರ್ತಿ ಮಾಡಿ ಸಹಿ ಮಾಡಬಹುದು; ಅದು ಈ ಸಾಧನದಲ್ಲೇ ಇರುತ್ತದೆ ಮತ್ತು ಸಂಪರ್ಕ ಮರಳಿದಾಗ ನಾವು ಕಳುಹಿಸುವ ಕೋಡ್ ನಮೂದಿಸಿದ ನಂತರವೇ ಸಲ್ಲಿಸಲಾಗುತ್ತದೆ.',
+    'step1.continueOffline': 'ಈಗ ಭರ್ತಿ ಮಾಡಿ, ನಂತರ ಪರಿಶೀಲಿಸಿ',
+    'step1.draftSaved': 'ನಿಮ್ಮ ಸಹಿ ಮಾಡಿದ ಪತ್ರ ಈ ಸಾಧನದಲ್ಲಿ ಉಳಿಸಲಾಗಿದೆ. ನಿಮ್ಮ ಸಂಖ್ಯೆಗೆ ನಾವು ಕಳುಹಿಸುವ ಕೋಡ್ ನಮೂದಿಸಿದ ನಂತರ ಅದನ್ನು ಸಲ್ಲಿಸಲಾಗುತ್ತದೆ; ನಾವು ಆಫ್‌ಲೈನ್‌ನಲ್ಲಿದ್ದರೆ, ಸಂಪರ್ಕ ಮರಳಿದ ತಕ್ಷಣ ಕೋಡ್ ಕಳುಹಿಸಲಾಗುತ್ತದೆ.',
+    'step1.leaveDraft': 'ಹೊಸ ಪತ್ರ ಪ್ರಾರಂಭಿಸಿ (ಇದು ಸಿಬ್ಬಂದಿಗಾಗಿ ಉಳಿಸಲ್ಪಡುತ್ತದೆ)',
+    'step1.devCode': 'ಅಭಿವೃದ್ಧಿ ಕೋಡ್: {code}',
+    'step2.title': 'ನಿಮ್ಮ ವಿವರಗಳು',
+    'step2.parentNameLabel': 'ಪೋಷಕರು/ಪಾಲಕರ ಹೆಸರು',
+    'step2.parentNamePlaceholder': 'ನಿಮ್ಮ ಪೂರ್ಣ ಹೆಸರು',
+    'step2.childrenTitle': 'ಮಕ್ಕಳ ವಿವರಗಳು',
+    'step2.noticeStrong': 'ಮುಖ್ಯ:',
+    'step2.notice': 'ಇಂದು ಭೇಟಿ ನೀಡುವ ಎಲ್ಲಾ ಮಕ್ಕಳನ್ನು ಈ ಒಂದೇ ಪತ್ರದಲ್ಲಿ ಸೇರಿಸಿ. ಪ್ರತಿ ಮೊಬೈಲ್ ಸಂಖ್ಯೆಗೆ ದಿನಕ್ಕೆ ಒಂದು ಒಪ್ಪಿಗೆ ಪತ್ರಕ್ಕೆ ಮಾತ್ರ ಅವಕಾಶವಿದೆ.',
+    'step2.addChild': '+ ಮಗುವನ್ನು ಸೇರಿಸಿ',
+    'step3.title': 'ಒಪ್ಪಿಗೆ ಒಪ್ಪಂದ',
+    'step3.signatureLabel': 'ನಿಮ್ಮ ಸಹಿ',
+    'step3.clearSignature': 'ಸಹಿ ಅಳಿಸಿ',
+    'step3.finish': 'ಮುಗಿಸಿ',
+    'step3.submitting': 'ಸಲ್ಲಿಸಲಾಗುತ್ತಿದೆ…',
+    'step3.scrollHint': 'ಮುಂದುವರಿಯಲು ಒಪ್ಪಂದದ ಕೊನೆಯವರೆಗೆ ಸ್ಕ್ರಾಲ್ ಮಾಡಿ.',
+    'step3.readAgreement': 'ಮೇಲಿನ ಒಪ್ಪಂದವನ್ನು ನಾನು ಓದಿ ಅರ್ಥಮಾಡಿಕೊಂಡಿದ್ದೇನೆ',
+    'child.header': 'ಮಗು {n}',
+    'child.legalName': 'ಕಾನೂನುಬದ್ಧ ಹೆಸರು',
+    'child.legalNamePlaceholder': 'ಮಗುವಿನ ಕಾನೂನುಬದ್ಧ ಪೂರ್ಣ ಹೆಸರು',
+    'child.displayName': 'ಪ್ರದರ್ಶನ ಹೆಸರು',
+    'child.displayNamePlaceholder': 'ಮಗುವಿನ ಅಡ್ಡಹೆಸರು ಅಥವಾ ಇಷ್ಟದ ಹೆಸರು',
+    'child.dob': 'ಜನ್ಮ ದಿನಾಂಕ',
+    'child.height': 'ಎತ್ತರ (ಸೆಂ.ಮೀ)',
+    'child.heightPlaceholder': 'ಐಚ್ಛಿಕ – ಎತ್ತರ ನಿರ್ಬಂಧಿತ ಚಟುವಟಿಕೆಗಳಿಗೆ ಅಗತ್ಯ',
+    'eligibility.title': 'ಚಟುವಟಿಕೆಗಳು',
+    'eligibility.eligible': '✅ {activity}',
+    'eligibility.tooYoung': '⛔ {activity} – {limit} ಮೇಲ್ಪಟ್ಟವರಿಗೆ',
+    'eligibility.tooOld': '⛔ {activity} – {limit} ಒಳಗಿನವರಿಗೆ ಮಾತ್ರ',
+    'eligibility.tooShort': '⛔ {activity} – ಕನಿಷ್ಠ ಎತ್ತರ {limit} ಸೆಂ.ಮೀ',
+    'eligibility.tooTall': '⛔ {activity} – ಗರಿಷ್ಠ ಎತ್ತರ {limit} ಸೆಂ.ಮೀ',
+    'eligibility.heightRequired': '📏 {activity} – ಪರಿಶೀಲಿಸಲು ಎತ್ತರ ನಮೂದಿಸಿ (ಕನಿಷ್ಠ {limit} ಸೆಂ.ಮೀ)',
+    'age.years': '{n} ವರ್ಷ',
+    'age.months': '{n} ತಿಂಗಳು',
+    'child.remove': 'ತೆಗೆದುಹಾಕಿ',
+    'child.safetyHeader': 'ಸುರಕ್ಷತೆ ಮತ್ತು ವೈದ್ಯಕೀಯ',
+    'child.allergies': 'ಅಲರ್ಜಿಗಳು',
+    'child.allergiesPlaceholder': 'ಉದಾ. ಕಡಲೆಕಾಯಿ, ಧೂಳು – ಇಲ್ಲದಿದ್ದರೆ ಖಾಲಿ ಬಿಡಿ',
+    'child.medical': 'ವೈದ್ಯಕೀಯ ಸ್ಥಿತಿಗಳು',
+    'child.medicalPlaceholder': 'ಉದಾ. ಅಸ್ತಮಾ, ಅಪಸ್ಮಾರ – ಇಲ್ಲದಿದ್ದರೆ ಖಾಲಿ ಬಿಡಿ',
+    'child.emergencyName': 'ತುರ್ತು ಸಂಪರ್ಕ ವ್ಯಕ್ತಿಯ ಹೆಸರು',
+    'child.emergencyNamePlaceholder': 'ನಿಮ್ಮನ್ನು ಹೊರತುಪಡಿಸಿ ನಾವು ಕರೆ ಮಾಡಬಹುದಾದ ವ್ಯಕ್ತಿ',
+    'child.emergencyPhone': 'ತುರ್ತು ಸಂಪರ್ಕ ಮೊಬೈಲ್',
+    'child.photoConsentMarketing': 'LePlay ಪ್ರಚಾರ ಸಾಮಗ್ರಿಗಳಲ್ಲಿ ಈ ಮಗುವಿನ ಫೋಟೋಗಳನ್ನು ಬಳಸಲು ನಾನು ಅನುಮತಿಸುತ್ತೇನೆ',
+    'child.photoConsentSocial': 'LePlay ಸಾಮಾಜಿಕ ಮಾಧ್ಯಮದಲ್ಲಿ ಈ ಮಗುವಿನ ಫೋಟೋಗಳನ್ನು ಹಂಚಿಕೊಳ್ಳಲು ನಾನು ಅನುಮತಿಸುತ್ತೇನೆ',
+    'error.mobile': '6–9 ರಿಂದ ಪ್ರಾರಂಭವಾಗುವ ಮಾನ್ಯ 10 ಅಂಕಿಯ ಭಾರತೀಯ ಮೊಬೈಲ್ ಸಂಖ್ಯೆಯನ್ನು ನಮೂದಿಸಿ.',
+    'error.parentName': 'ದಯವಿಟ್ಟು ನಿಮ್ಮ ಹೆಸರನ್ನು ನಮೂದಿಸಿ.',
+    'error.noChildren': 'ದಯವಿಟ್ಟು ಕನಿಷ್ಠ ಒಂದು ಮಗುವನ್ನು ಸೇರಿಸಿ.',
+    'error.childRequired': 'ದಯವಿಟ್ಟು ಕಾನೂನುಬದ್ಧ ಹೆಸರು ಮತ್ತು ಜನ್ಮ ದಿನಾಂಕವನ್ನು ನಮೂದಿಸಿ.',
+    'error.invalidDate': 'ದಯವಿಟ್ಟು ಮಾನ್ಯ ದಿನಾಂಕವನ್ನು ಆಯ್ಕೆಮಾಡಿ.',
+    'error.minAge': 'ಮಗುವಿಗೆ ಕನಿಷ್ಠ {age} ವಯಸ್ಸಾಗಿರಬೇಕು.',
+    'error.notEligible': 'ಈ ಮಗು ನಮ್ಮ ಯಾವುದೇ ಚಟುವಟಿಕೆಗೆ ಅರ್ಹವಾಗಿಲ್ಲ.',
+    'error.invalidHeight': 'ದಯವಿಟ್ಟು 50 ರಿಂದ 200 ಸೆಂ.ಮೀ ನಡುವಿನ ಎತ್ತರವನ್ನು ನಮೂದಿಸಿ.',
+    'error.emergencyRequired': 'ದಯವಿಟ್ಟು ತುರ್ತು ಸಂಪರ್ಕ ವ್ಯಕ್ತಿಯ ಹೆಸರು ಮತ್ತು ಮೊಬೈಲ್ ಸಂಖ್ಯೆಯನ್ನು ನಮೂದಿಸಿ.',
+    'error.emergencyPhone': 'ತುರ್ತು ಸಂಪರ್ಕವು ನಿಮ್ಮ ಸಂಖ್ಯೆಗಿಂತ ಭಿನ್ನವಾದ ಮಾನ್ಯ 10 ಅಂಕಿಯ ಮೊಬೈಲ್ ಸಂಖ್ಯೆಯಾಗಿರಬೇಕು.',
+    'error.otpRequired': 'ನಿಮ್ಮ ಮೊಬೈಲ್‌ಗೆ ಕಳುಹಿಸಿದ 6 ಅಂಕಿಯ ಕೋಡ್ ಅನ್ನು ನಮೂದಿಸಿ.',
+    'error.otpInvalid': 'ಈ ಕೋಡ್ ತಪ್ಪಾಗಿದೆ ಅಥವಾ ಅವಧಿ ಮೀರಿದೆ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+    'error.otpSendFailed': 'ಪರಿಶೀಲನಾ ಕೋಡ್ ಕಳುಹಿಸಲು ಸಾಧ್ಯವಾಗಲಿಲ್ಲ. ದಯವಿಟ್ಟು ನಿಮ್ಮ ಸಂಪರ್ಕವನ್ನು ಪರಿಶೀಲಿಸಿ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+    'alert.signatureRequired': 'ಮುಗಿಸುವ ಮೊದಲು ದಯವಿಟ್ಟು ನಿಮ್ಮ ಸಹಿ ಮಾಡಿ.',
+    'alert.agreementRequired': 'ಮುಗಿಸುವ ಮೊದಲು ದಯವಿಟ್ಟು ಒಪ್ಪಂದವನ್ನು ಸಂಪೂರ್ಣವಾಗಿ ಓದಿ ಮತ್ತು ಅದನ್ನು ಓದಿದ್ದೀರಿ ಎಂದು ದೃಢೀಕರಿಸಿ.',
+    'alert.mobileMissing': 'ಮೊಬೈಲ್ ಸಂಖ್ಯೆ ಇಲ್ಲ. ದಯವಿಟ್ಟು ಹಿಂದಕ್ಕೆ ಹೋಗಿ ನಿಮ್ಮ ಮೊಬೈಲ್ ಸಂಖ್ಯೆಯನ್ನು ನಮೂದಿಸಿ.',
+    'alert.otpRequired': 'ಸಲ್ಲಿಸುವ ಮೊದಲು ದಯವಿಟ್ಟು ನಿಮ್ಮ ಮೊಬೈಲ್ ಸಂಖ್ಯೆಯನ್ನು ಪರಿಶೀಲಿಸಿ.',
+    'alert.templateUnavailable': 'ಒಪ್ಪಿಗೆ ಒಪ್ಪಂದವನ್ನು ಲೋಡ್ ಮಾಡಲು ಸಾಧ್ಯವಾಗಲಿಲ್ಲ. ದಯವಿಟ್ಟು ನಿಮ್ಮ ಸಂಪರ್ಕವನ್ನು ಪರಿಶೀಲಿಸಿ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ, ಅಥವಾ ಸಿಬ್ಬಂದಿಯ ಸಹಾಯ ಕೇಳಿ.',
+    'alert.offlineStoreFailed': 'ನೀವು ಆಫ್‌ಲೈನ್‌ನಲ್ಲಿರುವಂತೆ ತೋರುತ್ತದೆ ಮತ್ತು ಈ ಸಾಧನವು ನಿಮ್ಮ ಒಪ್ಪಿಗೆಯನ್ನು ಉಳಿಸಲು ಸಾಧ್ಯವಾಗಲಿಲ್ಲ. ದಯವಿಟ್ಟು ಸಿಬ್ಬಂದಿಯ ಸಹಾಯ ಕೇಳಿ.',
+    'alert.alreadySubmitted': '⚠️ ಇಂದು ಈಗಾಗಲೇ ಪತ್ರ ಸಲ್ಲಿಸಲಾಗಿದೆ\n\nಈ ಮೊಬೈಲ್ ಸಂಖ್ಯೆಯಿಂದ ಇಂದು ಈಗಾಗಲೇ ಒಪ್ಪಿಗೆ ಪತ್ರ ಸಲ್ಲಿಸಲಾಗಿದೆ.\n\nಇನ್ನಷ್ಟು ಮಕ್ಕಳನ್ನು ಸೇರಿಸಬೇಕಾದರೆ:\n• ಸಿಬ್ಬಂದಿಯನ್ನು ಸಂಪರ್ಕಿಸಿ, ಅಥವಾ\n• ನಾಳೆ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ, ಅಥವಾ\n• ಬೇರೆ ಮೊಬೈಲ್ ಸಂಖ್ಯೆಯನ್ನು ಬಳಸಿ\n\nಸೂಚನೆ: ಒಂದೇ ಪತ್ರದಲ್ಲಿ ಹಲವು ಮಕ್ಕಳನ್ನು ನೋಂದಾಯಿಸಬಹುದು.',
+    'alert.submissionFailed': 'ಸಲ್ಲಿಕೆ ವಿಫಲವಾಗಿದೆ: {message}',
+    'alert.unknownError': 'ಅಜ್ಞಾತ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+    'alert.submitError': 'ನಿಮ್ಮ ಒಪ್ಪಿಗೆ ಸಲ್ಲಿಸುವಾಗ ದೋಷ ಸಂಭವಿಸಿದೆ: {message}. ದಯವಿಟ್ಟು ನಂತರ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+    'sync.pendingOne': '⏳ 1 ಒಪ್ಪಿಗೆ ಪತ್ರ ಸಿಂಕ್‌ಗಾಗಿ ಬಾಕಿ ಇದೆ',
+    'sync.pendingMany': '⏳ {count} ಒಪ್ಪಿಗೆ ಪತ್ರಗಳು ಸಿಂಕ್‌ಗಾಗಿ ಬಾಕಿ ಇವೆ',
+    'sync.rejectedOne': '⚠️ 1 ಒಪ್ಪಿಗೆ ಪತ್ರವನ್ನು ಅಪ್‌ಲೋಡ್ ಮಾಡಲಾಗಲಿಲ್ಲ – ಸಿಬ್ಬಂದಿ, ಪರಿಶೀಲಿಸಲು ಸ್ಪರ್ಶಿಸಿ',
+    'sync.rejectedMany': '⚠️ {count} ಒಪ್ಪಿಗೆ ಪತ್ರಗಳನ್ನು ಅಪ್‌ಲೋಡ್ ಮಾಡಲಾಗಲಿಲ್ಲ – ಸಿಬ್ಬಂದಿ, ಪರಿಶೀಲಿಸಲು ಸ್ಪರ್ಶಿಸಿ',
+    'sync.rejectedEntry': '{time} ರಂದು ಸಹಿ · ಮೊಬೈಲ್ ಕೊನೆಯ ಅಂಕೆಗಳು {last4} · {children} ಮಕ್ಕಳು – {message}',
+    'sync.unverifiedEntry': '{time} ರಂದು ಸಹಿ · ಮೊಬೈಲ್ ಕೊನೆಯ ಅಂಕೆಗಳು {last4} · {children} ಮಕ್ಕಳು – ಸಂಖ್ಯೆಯ ಪರಿಶೀಲನೆಗಾಗಿ ಕಾಯುತ್ತಿದೆ',
+    'sync.verify': 'ಈಗ ಪರಿಶೀಲಿಸಿ',
+    'sync.retry': 'ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ',
+    'sync.remove': 'ತೆಗೆದುಹಾಕಿ',
+    'sync.confirmRemove': 'ಈ ಒಪ್ಪಿಗೆ ಪತ್ರವನ್ನು ಸಾಧನದಿಂದ ತೆಗೆದುಹಾಕುವುದೇ? ಇದು ಸಂಗ್ರಹವಾಗಿಲ್ಲ, ಆದ್ದರಿಂದ ಕುಟುಂಬ ಮತ್ತೆ ಸಹಿ ಮಾಡಬೇಕಾಗುತ್ತದೆ.'
+  },
+
+  hi: {
+    'header.title': 'डिजिटल सहमति पत्र',
+    'header.subtitle': 'भारत का पहला बच्चों का निर्माण और इंजीनियरिंग थीम वाला खेल क्षेत्र',
+    'language.label': 'भाषा',
+    'common.next': 'आगे',
+    'common.back': 'पीछे',
+    'step1.title': 'LePlay में आपका स्वागत है',
+    'step1.intro': 'जारी रखने के लिए कृपया अपना मोबाइल नंबर दर्ज करें।',
+    'step1.mobileLabel': 'मोबाइल नंबर',
+    'step1.mobilePlaceholder': '10 अंकों का मोबाइल नंबर',
+    'step1.sendCode': 'कोड भेजें',
+    'step1.otpLabel': 'सत्यापन कोड',
+    'step1.otpPlaceholder': '6 अंकों का कोड',
+    'step1.otpSent': 'हमने {mobile} पर 6 अंकों का कोड भेजा है।',
+    'step1.verify': 'सत्यापित करें और आगे बढ़ें',
+    'step1.resend': 'कोड फिर से भेजें',
+    'step1.resendIn': '{seconds} सेकंड में कोड फिर से भेजें',
+    'step1.offlineNote': 'यह डिवाइस ऑफ़लाइन है, इसलिए अभी कोड नहीं भेजा जा सकता। आप फ़ॉर्म अभी भरकर हस्ताक्षर कर सकते हैं; यह इसी डिवाइस पर रहेगा और कनेक्शन लौटने पर हमारे भेजे गए कोड को दर्ज करने के बाद ही जमा होगा।',
+    'step1.continueOffline': 'अभी फ़ॉर्म भरें, बाद में सत्यापित करें',
+    'step1.draftSaved': 'आपका हस्ताक्षरित फ़ॉर्म इस डिवाइस पर सहेजा गया है। आपके नंबर पर भेजा गया कोड दर्ज करने के बाद यह जमा होगा; अगर हम ऑफ़लाइन हैं, तो कनेक्शन लौटते ही कोड भेजा जाएगा।',
+    'step1.leaveDraft': 'नया फ़ॉर्म शुरू करें (यह स्टाफ़ के लिए सहेजा रहेगा)',
+    'step1.devCode': 'डेवलपमेंट कोड: {code}',
+    'step2.title': 'आपका विवरण',
+    'step2.parentNameLabel': 'माता-पिता/अभिभावक का नाम',
+    'step2.parentNamePlaceholder': 'आपका पूरा नाम',
+    'step2.childrenTitle': 'बच्चों का विवरण',
+    'step2.noticeStrong': 'महत्वपूर्ण:',
+    'step2.notice': 'कृपया आज आने वाले सभी बच्चों को इसी एक फ़ॉर्म में जोड़ें। प्रति मोबाइल नंबर प्रतिदिन केवल एक सहमति पत्र की अनुमति है।',
+    'step2.addChild': '+ बच्चा जोड़ें',
+    'step3.title': 'सहमति अनुबंध',
+    'step3.signatureLabel': 'आपके हस्ताक्षर',
+    'step3.clearSignature': 'हस्ताक्षर मिटाएँ',
+    'step3.finish': 'समाप्त करें',
+    'step3.submitting': 'जमा किया जा रहा है…',
+    'step3.scrollHint': 'आगे बढ़ने के लिए अनुबंध के अंत तक स्क्रॉल करें।',
+    'step3.readAgreement': 'मैंने ऊपर दिया गया अनुबंध पढ़ और समझ लिया है',
+    'child.header': 'बच्चा {n}',
+    'child.legalName': 'कानूनी नाम',
+    'child.legalNamePlaceholder': 'बच्चे का कानूनी पूरा नाम',
+    'child.displayName': 'प्रदर्शित नाम',
+    'child.displayNamePlaceholder': 'बच्चे का उपनाम या पसंदीदा नाम',
+    'child.dob': 'जन्म तिथि',
+    'child.height': 'लंबाई (सेमी)',
+    'child.heightPlaceholder': 'वैकल्पिक – ऊँचाई-सीमित गतिविधियों के लिए आवश्यक',
+    'eligibility.title': 'गतिविधियाँ',
+    'eligibility.eligible': '✅ {activity}',
+    'eligibility.tooYoung': '⛔ {activity} – {limit} से',
+    'eligibility.tooOld': '⛔ {activity} – केवल {limit} से कम',
+    'eligibility.tooShort': '⛔ {activity} – न्यूनतम लंबाई {limit} सेमी',
+    'eligibility.tooTall': '⛔ {activity} – अधिकतम लंबाई {limit} सेमी',
+    'eligibility.heightRequired': '📏 {activity} – जाँचने के लिए लंबाई दर्ज करें (न्यूनतम {limit} सेमी)',
+    'age.years': '{n} वर्ष',
+    'age.months': '{n} महीने',
+    'child.remove': 'हटाएँ',
+    'child.safetyHeader': 'सुरक्षा और चिकित्सा',
+    'child.allergies': 'एलर्जी',
+    'child.allergiesPlaceholder': 'जैसे मूँगफली, धूल – न हो तो खाली छोड़ें',
+    'child.medical': 'चिकित्सीय स्थितियाँ',
+    'child.medicalPlaceholder': 'जैसे अस्थमा, मिर्गी – न हो तो खाली छोड़ें',
+    'child.emergencyName': 'आपातकालीन संपर्क का नाम',
+    'child.emergencyNamePlaceholder': 'आपके अलावा कोई व्यक्ति जिसे हम कॉल कर सकें',
+    'child.emergencyPhone': 'आपातकालीन संपर्क मोबाइल',
+    'child.photoConsentMarketing': 'मैं LePlay की प्रचार सामग्री में इस बच्चे की तस्वीरों की अनुमति देता/देती हूँ',
+    'child.photoConsentSocial': 'मैं LePlay के सोशल मीडिया पर इस बच्चे की तस्वीरों की अनुमति देता/देती हूँ',
+    'error.mobile': 'कृपया 6–9 से शुरू होने वाला मान्य 10 अंकों का भारतीय मोबाइल नंबर दर्ज करें।',
+    'error.parentName': 'कृपया अपना नाम दर्ज करें।',
+    'error.noChildren': 'कृपया कम से कम एक बच्चा जोड़ें।',
+    'error.childRequired': 'कृपया कानूनी नाम और जन्म तिथि दर्ज करें।',
+    'error.invalidDate': 'कृपया एक मान्य तिथि चुनें।',
+    'error.minAge': 'बच्चे की आयु कम से कम {age} होनी चाहिए।',
+    'error.notEligible': 'यह बच्चा हमारी किसी भी गतिविधि के लिए पात्र नहीं है।',
+    'error.invalidHeight': 'कृपया 50 से 200 सेमी के बीच की लंबाई दर्ज करें।',
+    'error.emergencyRequired': 'कृपया आपातकालीन संपर्क का नाम और मोबाइल नंबर दर्ज करें।',
+    'error.emergencyPhone': 'आपातकालीन संपर्क आपके नंबर से अलग एक मान्य 10 अंकों का मोबाइल नंबर होना चाहिए।',
+    'error.otpRequired': 'कृपया अपने मोबाइल पर भेजा गया 6 अंकों का कोड दर्ज करें।',
+    'error.otpInvalid': 'यह कोड गलत है या इसकी अवधि समाप्त हो गई है। कृपया फिर से प्रयास करें।',
+    'error.otpSendFailed': 'हम सत्यापन कोड नहीं भेज सके। कृपया अपना कनेक्शन जाँचें और फिर से प्रयास करें।',
+    'alert.signatureRequired': 'समाप्त करने से पहले कृपया अपने हस्ताक्षर करें।',
+    'alert.agreementRequired': 'समाप्त करने से पहले कृपया पूरा अनुबंध पढ़ें और पुष्टि करें कि आपने उसे पढ़ लिया है।',
+    'alert.mobileMissing': 'मोबाइल नंबर नहीं मिला। कृपया वापस जाकर अपना मोबाइल नंबर दर्ज करें।',
+    'alert.otpRequired': 'जमा करने से पहले कृपया अपना मोबाइल नंबर सत्यापित करें।',
+    'alert.templateUnavailable': 'सहमति अनुबंध लोड नहीं हो सका। कृपया अपना कनेक्शन जाँचें और फिर से प्रयास करें, या स्टाफ़ से सहायता लें।',
+    'alert.offlineStoreFailed': 'लगता है आप ऑफ़लाइन हैं और यह डिवाइस आपकी सहमति सहेज नहीं सका। कृपया स्टाफ़ से सहायता लें।',
+    'alert.alreadySubmitted': '⚠️ आज फ़ॉर्म पहले ही जमा हो चुका है\n\nइस मोबाइल नंबर से आज पहले ही सहमति पत्र जमा किया जा चुका है।\n\nयदि आपको और बच्चे जोड़ने हैं, तो कृपया:\n• स्टाफ़ से संपर्क करें, या\n• कल फिर से प्रयास करें, या\n• किसी दूसरे मोबाइल नंबर का उपयोग करें\n\nनोट: आप एक ही फ़ॉर्म में कई बच्चों को पंजीकृत कर सकते हैं।',
+    'alert.submissionFailed': 'जमा करना विफल रहा: {message}',
+    'alert.unknownError': 'अज्ञात त्रुटि। कृपया फिर से प्रयास करें।',
+    'alert.submitError': 'आपकी सहमति जमा करते समय एक त्रुटि हुई: {message}। कृपया बाद में फिर से प्रयास करें।',
+    'sync.pendingOne': '⏳ 1 सहमति पत्र सिंक होना बाकी है',
+    'sync.pendingMany': '⏳ {count} सहमति पत्र सिंक होना बाकी हैं',
+    'sync.rejectedOne': '⚠️ 1 सहमति पत्र अपलोड नहीं हो सका – स्टाफ़, देखने के लिए टैप करें',
+    'sync.rejectedMany': '⚠️ {count} सहमति पत्र अपलोड नहीं हो सके – स्टाफ़, देखने के लिए टैप करें',
+    'sync.rejectedEntry': '{time} को हस्ताक्षरित · मोबाइल के अंतिम अंक {last4} · {children} बच्चे – {message}',
+    'sync.unverifiedEntry': '{time} को हस्ताक्षरित · मोबाइल के अंतिम अंक {last4} · {children} बच्चे – नंबर के सत्यापन की प्रतीक्षा में',
+    'sync.verify': 'अभी सत्यापित करें',
+    'sync.retry': 'फिर से प्रयास करें',
+    'sync.remove': 'हटाएँ',
+    'sync.confirmRemove': 'इस सहमति पत्र को डिवाइस से हटाएँ? यह सहेजा नहीं गया है, इसलिए परिवार को फिर से हस्ताक्षर करना होगा।'
+  },
+
+  ta: {
+    'header.title': 'டிஜிட்டல் ஒப்புதல் படிவம்',
+    'header.subtitle': 'இந்தியாவின் முதல் குழந்தைகளுக்கான கட்டுமான மற்றும் பொறியியல் கருப்பொருள் விளையாட்டுப் பகுதி',
+    'language.label': 'மொழி',
+    'common.next': 'அடுத்து',
+    'common.back': 'பின்செல்',
+    'step1.title': 'LePlay-க்கு வரவேற்கிறோம்',
+    'step1.intro': 'தொடர உங்கள் மொபைல் எண்ணை உள்ளிடவும்.',
+    'step1.mobileLabel': 'மொபைல் எண்',
+    'step1.mobilePlaceholder': '10 இலக்க மொபைல் எண்',
+    'step1.sendCode': 'குறியீட்டை அனுப்பு',
+    'step1.otpLabel': 'சரிபார்ப்புக் குறியீடு',
+    'step1.otpPlaceholder': '6 இலக்கக் குறியீடு',
+    'step1.otpSent': '{mobile} க்கு 6 இலக்கக் குறியீட்டை அனுப்பியுள்ளோம்.',
+    'step1.verify': 'சரிபார்த்துத் தொடர்',
+    'step1.resend': 'குறியீட்டை மீண்டும் அனுப்பு',
+    'step1.resendIn': '{seconds} வினாடிகளில் குறியீட்டை மீண்டும் அனுப்பலாம்',
+    'step1.offlineNote': 'இந்தச் சாதனம் ஆஃப்லைனில் உள்ளது, எனவே இப்போது குறியீட்டை அனுப்ப முடியாது. படிவத்தை இப்போதே நிரப்பிக் கையொப்பமிடலாம்; அது இந்தச் சாதனத்திலேயே இருக்கும், இணைப்பு திரும்பியதும் நாங்கள் அனுப்பும் குறியீட்டை உள்ளிட்ட பிறகே சமர்ப்பிக்கப்படும்.',
+    'step1.continueOffline': 'இப்போது நிரப்பு, பிறகு சரிபார்',
+    'step1.draftSaved': 'உங்கள் கையொப்பமிட்ட படிவம் இந்தச் சாதனத்தில் சேமிக்கப்பட்டுள்ளது. உங்கள் எண்ணுக்கு நாங்கள் அனுப்பும் குறியீட்டை உள்ளிட்டதும் அது சமர்ப்பிக்கப்படும்; நாங்கள் ஆஃப்லைனில் இருந்தால், இணைப்பு திரும்பியதும் குறியீடு அனுப்பப்படும்.',
+    'step1.leaveDraft': 'புதிய படிவத்தைத் தொடங்கு (இது ஊழியர்களுக்காகச் சேமிக்கப்பட்டிருக்கும்)',
+    'step1.devCode': 'டெவலப்மென்ட் குறியீடு: {code}',
+    'step2.title': 'உங்கள் விவரங்கள்',
+    'step2.parentNameLabel': 'பெற்றோர்/பாதுகாவலர் பெயர்',
+    'step2.parentNamePlaceholder': 'உங்கள் முழுப் பெயர்',
+    'step2.childrenTitle': 'குழந்தைகளின் விவரங்கள்',
+    'step2.noticeStrong': 'முக்கியம்:',
+    'step2.notice': 'இன்று வருகை தரும் அனைத்து குழந்தைகளையும் இந்த ஒரே படிவத்தில் சேர்க்கவும். ஒரு மொபைல் எண்ணுக்கு ஒரு நாளைக்கு ஒரு ஒப்புதல் படிவம் மட்டுமே அனுமதிக்கப்படும்.',
+    'step2.addChild': '+ குழந்தையைச் சேர்',
+    'step3.title': 'ஒப்புதல் ஒப்பந்தம்',
+    'step3.signatureLabel': 'உங்கள் கையொப்பம்',
+    'step3.clearSignature': 'கையொப்பத்தை அழி',
+    'step3.finish': 'முடி',
+    'step3.submitting': 'சமர்ப்பிக்கப்படுகிறது…',
+    'step3.scrollHint': 'தொடர ஒப்பந்தத்தின் இறுதி வரை உருட்டவும்.',
+    'step3.readAgreement': 'மேலே உள்ள ஒப்பந்தத்தைப் படித்துப் புரிந்துகொண்டேன்',
+    'child.header': 'குழந்தை {n}',
+    'child.legalName': 'சட்டப்பூர்வ பெயர்',
+    'child.legalNamePlaceholder': 'குழந்தையின் சட்டப்பூர்வ முழுப் பெயர்',
+    'child.displayName': 'காட்சிப் பெயர்',
+    'child.displayNamePlaceholder': 'குழந்தையின் செல்லப் பெயர் அல்லது விருப்பமான பெயர்',
+    'child.dob': 'பிறந்த தேதி',
+    'child.height': 'உயரம் (செ.மீ)',
+    'child.heightPlaceholder': 'விருப்பத்தேர்வு – உயரக் கட்டுப்பாடு உள்ள செயல்பாடுகளுக்குத் தேவை',
+    'eligibility.title': 'செயல்பாடுகள்',
+    'eligibility.eligible': '✅ {activity}',
+    'eligibility.tooYoung': '⛔ {activity} – {limit} முதல்',
+    'eligibility.tooOld': '⛔ {activity} – {limit}க்குக் குறைவானவர்களுக்கு மட்டும்',
+    'eligibility.tooShort': '⛔ {activity} – குறைந்தபட்ச உயரம் {limit} செ.மீ',
+    'eligibility.tooTall': '⛔ {activity} – அதிகபட்ச உயரம் {limit} செ.மீ',
+    'eligibility.heightRequired': '📏 {activity} – சரிபார்க்க உயரத்தை உள்ளிடவும் (குறைந்தபட்சம் {limit} செ.மீ)',
+    'age.years': '{n} வயது',
+    'age.months': '{n} மாதங்கள்',
+    'child.remove': 'நீக்கு',
+    'child.safetyHeader': 'பாதுகாப்பு மற்றும் மருத்துவம்',
+    'child.allergies': 'ஒவ்வாமைகள்',
+    'child.allergiesPlaceholder': 'எ.கா. வேர்க்கடலை, தூசி – இல்லையெனில் காலியாக விடவும்',
+    'child.medical': 'மருத்துவ நிலைகள்',
+    'child.medicalPlaceholder': 'எ.கா. ஆஸ்துமா, வலிப்பு – இல்லையெனில் காலியாக விடவும்',
+    'child.emergencyName': 'அவசரத் தொடர்பு நபரின் பெயர்',
+    'child.emergencyNamePlaceholder': 'உங்களைத் தவிர நாங்கள் அழைக்கக்கூடிய ஒருவர்',
+    'child.emergencyPhone': 'அவசரத் தொடர்பு மொபைல்',
+    'child.photoConsentMarketing': 'LePlay விளம்பரப் பொருட்களில் இந்தக் குழந்தையின் புகைப்படங்களைப் பயன்படுத்த அனுமதிக்கிறேன்',
+    'child.photoConsentSocial': 'LePlay சமூக ஊடகங்களில் இந்தக் குழந்தையின் புகைப்படங்களைப் பகிர அனுமதிக்கிறேன்',
+    'error.mobile': '6–9 இல் தொடங்கும் சரியான 10 இலக்க இந்திய மொபைல் எண்ணை உள்ளிடவும்.',
+    'error.parentName': 'உங்கள் பெயரை உள்ளிடவும்.',
+    'error.noChildren': 'குறைந்தது ஒரு குழந்தையைச் சேர்க்கவும்.',
+    'error.childRequired': 'சட்டப்பூர்வ பெயர் மற்றும் பிறந்த தேதியை உள்ளிடவும்.',
+    'error.invalidDate': 'சரியான தேதியைத் தேர்ந்தெடுக்கவும்.',
+    'error.minAge': 'குழந்தைக்குக் குறைந்தது {age} இருக்க வேண்டும்.',
+    'error.notEligible': 'இந்தக் குழந்தை எங்கள் எந்தச் செயல்பாட்டிற்கும் தகுதியற்றது.',
+    'error.invalidHeight': '50 முதல் 200 செ.மீ வரையிலான உயரத்தை உள்ளிடவும்.',
+    'error.emergencyRequired': 'அவசரத் தொடர்பு நபரின் பெயர் மற்றும் மொபைல் எண்ணை உள்ளிடவும்.',
+    'error.emergencyPhone': 'அவசரத் தொடர்பு உங்கள் எண்ணிலிருந்து வேறுபட்ட சரியான 10 இலக்க மொபைல் எண்ணாக இருக்க வேண்டும்.',
+    'error.otpRequired': 'உங்கள் மொபைலுக்கு அனுப்பப்பட்ட 6 இலக்கக் குறியீட்டை உள்ளிடவும்.',
+    'error.otpInvalid': 'இந்தக் குறியீடு தவறானது அல்லது காலாவதியானது. மீண்டும் முயலவும்.',
+    'error.otpSendFailed': 'சரிபார்ப்புக் குறியீட்டை அனுப்ப முடியவில்லை. உங்கள் இணைப்பைச் சரிபார்த்து மீண்டும் முயலவும்.',
+    'alert.signatureRequired': 'முடிப்பதற்கு முன் உங்கள் கையொப்பத்தை இடவும்.',
+    'alert.agreementRequired': 'முடிப்பதற்கு முன் ஒப்பந்தத்தை முழுமையாகப் படித்து, படித்ததை உறுதிப்படுத்தவும்.',
+    'alert.mobileMissing': 'மொபைல் எண் இல்லை. பின்சென்று உங்கள் மொபைல் எண்ணை உள்ளிடவும்.',
+    'alert.otpRequired': 'சமர்ப்பிக்கும் முன் உங்கள் மொபைல் எண்ணைச் சரிபார்க்கவும்.',
+    'alert.templateUnavailable': 'ஒப்புதல் ஒப்பந்தத்தை ஏற்ற முடியவில்லை. உங்கள் இணைப்பைச் சரிபார்த்து மீண்டும் முயலவும், அல்லது ஊழியர்களின் உதவியைக் கேட்கவும்.',
+    'alert.offlineStoreFailed': 'நீங்கள் ஆஃப்லைனில் இருப்பதாகத் தெரிகிறது, மேலும் இந்தச் சாதனத்தால் உங்கள் ஒப்புதலைச் சேமிக்க முடியவில்லை. ஊழியர்களின் உதவியைக் கேட்கவும்.',
+    'alert.alreadySubmitted': '⚠️ இன்று ஏற்கனவே படிவம் சமர்ப்பிக்கப்பட்டது\n\nஇந்த மொபைல் எண்ணிலிருந்து இன்று ஏற்கனவே ஒப்புதல் படிவம் சமர்ப்பிக்கப்பட்டுள்ளது.\n\nமேலும் குழந்தைகளைச் சேர்க்க வேண்டுமெனில்:\n• ஊழியர்களைத் தொடர்பு கொள்ளவும், அல்லது\n• நாளை மீண்டும் முயலவும், அல்லது\n• வேறு மொபைல் எண்ணைப் பயன்படுத்தவும்\n\nகுறிப்பு: ஒரே படிவத்தில் பல குழந்தைகளைப் பதிவு செய்யலாம்.',
+    'alert.submissionFailed': 'சமர்ப்பிப்பு தோல்வியடைந்தது: {message}',
+    'alert.unknownError': 'அறியப்படாத பிழை. மீண்டும் முயலவும்.',
+    'alert.submitError': 'உங்கள் ஒப்புதலைச் சமர்ப்பிக்கும்போது பிழை ஏற்பட்டது: {message}. பின்னர் மீண்டும் முயலவும்.',
+    'sync.pendingOne': '⏳ 1 ஒப்புதல் படிவம் ஒத்திசைவுக்காகக் காத்திருக்கிறது',
+    'sync.pendingMany': '⏳ {count} ஒப்புதல் படிவங்கள் ஒத்திசைவுக்காகக் காத்திருக்கின்றன',
+    'sync.rejectedOne': '⚠️ 1 ஒப்புதல் படிவத்தைப் பதிவேற்ற முடியவில்லை – ஊழியர்களே, பார்க்கத் தட்டவும்',
+    'sync.rejectedMany': '⚠️ {count} ஒப்புதல் படிவங்களைப் பதிவேற்ற முடியவில்லை – ஊழியர்களே, பார்க்கத் தட்டவும்',
+    'sync.rejectedEntry': '{time} அன்று கையொப்பம் · மொபைல் கடைசி இலக்கங்கள் {last4} · {children} குழந்தைகள் – {message}',
+    'sync.unverifiedEntry': '{time} அன்று கையொப்பம் · மொபைல் கடைசி இலக்கங்கள் {last4} · {children} குழந்தைகள் – எண் சரிபார்ப்புக்காகக் காத்திருக்கிறது',
+    'sync.verify': 'இப்போது சரிபார்',
+    'sync.retry': 'மீண்டும் முயல்',
+    'sync.remove': 'நீக்கு',
+    'sync.confirmRemove': 'இந்த ஒப்புதல் படிவத்தைச் சாதனத்திலிருந்து நீக்கவா? இது சேமிக்கப்படவில்லை, எனவே குடும்பம் மீண்டும் கையொப்பமிட வேண்டும்.'
+  }
+};
+
+let currentLanguage = DEFAULT_LANGUAGE;
+
+/**
+ * Translate a key into the current language
+ * @param {string} key - Dictionary key, e.g. 'error.mobile'
+ * @param {Object} [params] - Values for {placeholders} in the string
+ * @returns {string}
+ */
+function t(key, params = {}) {
+  const dictionary = TRANSLATIONS[currentLanguage] || {};
+  let text = dictionary[key];
+
+  if (text === undefined) {
+    text = TRANSLATIONS[DEFAULT_LANGUAGE][key];
+  }
+  if (text === undefined) {
+    console.warn('Missing translation:', key);
+    return key;
+  }
+
+  return text.replace(/\{(\w+)\}/g, (match, name) =>
+    Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match
+  );
+}
+
+/**
+ * @returns {string} - The active language code (en, kn, hi or ta)
+ */
+function getLanguage() {
+  return currentLanguage;
+}
+
+/**
+ * Switch language and re-translate the page
+ * @param {string} language - One of the SUPPORTED_LANGUAGES codes
+ */
+function setLanguage(language) {
+  if (!SUPPORTED_LANGUAGES[language]) {
+    console.warn('Unsupported language:', language);
+    return;
+  }
+  currentLanguage = language;
+  applyTranslations();
+}
+
+/**
+ * Set an element's text from a translation key and remember the key, so the
+ * element is re-translated on the next language change
+ * @param {HTMLElement} element
+ * @param {string} key
+ * @param {Object} [params]
+ */
+function translateElement(element, key, params) {
+  element.dataset.i18n = key;
+  if (params) {
+    element.dataset.i18nArgs = JSON.stringify(params);
+  } else {
+    delete element.dataset.i18nArgs;
+  }
+  element.textContent = t(key, params);
+}
+
+/**
+ * Translate every element under root that carries data-i18n or data-i18n-placeholder
+ * @param {ParentNode} [root]
+ */
+function applyTranslations(root = document) {
+  document.documentElement.lang = currentLanguage;
+
+  root.querySelectorAll('[data-i18n]').forEach(el => {
+    let params;
+    try {
+      params = el.dataset.i18nArgs ? JSON.parse(el.dataset.i18nArgs) : undefined;
+    } catch (error) {
+      params = undefined;
+    }
+    el.textContent = t(el.dataset.i18n, params);
+  });
+
+  root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+    el.placeholder = t(el.dataset.i18nPlaceholder);
+  });
+
+  root.querySelectorAll('[data-lang]').forEach(el => {
+    el.classList.toggle('active', el.dataset.lang === currentLanguage);
+  });
+}
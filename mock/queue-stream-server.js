@@ -0,0 +1,281 @@
+/**
+ * queue-stream-server.js – Local mock of the queue API for testing the display
+ *
+ * Serves the same endpoints as the backend, with a simulated queue per zone
+ * that changes every few seconds:
+ *
+ *   GET /api/v1/public/queue?zoneId=zone-1          JSON snapshot, without legal names
+ *   GET /api/v1/public/queue/stream?zoneId=zone-1   text/event-stream (snapshot, then diffs)
+ *   GET /api/v1/queue?zoneId=zone-1                 staff snapshot, with legal names
+ *   GET /api/v1/queue/stream?zoneId=zone-1          staff stream, with legal names
+ *   GET /api/v1/metrics/average-ride-duration       fixed durations for the wait estimates
+ *   GET /api/v1/public/zones                        zone catalog
+ *
+ * Usage:
+ *   node mock/queue-stream-server.js
+ *   open public-queue.html?zone=zone-1&api=http://localhost:8787
+ *
+ * Environment:
+ *   PORT           port to listen on (default 8787)
+ *   TICK_MS        how often the queue changes (default 3000)
+ *   DROP_EVERY_MS  if set, drop every stream connection this often to exercise reconnects
+ *   SKIP_VERSION   if set, occasionally skip a version to exercise resyncs
+ *
+ * Authorization headers are accepted but not checked.
+ */
+
+const http = require('http');
+
+const PORT = Number(process.env.PORT) || 8787;
+const TICK_MS = Number(process.env.TICK_MS) || 3000;
+const DROP_EVERY_MS = Number(process.env.DROP_EVERY_MS) || 0;
+const SKIP_VERSION = Boolean(process.env.SKIP_VERSION);
+const KEEPALIVE_MS = 15000;
+const ZONE_CAPACITY = 6;
+const RIDE_DURATION_SECONDS = 240;
+
+const ZONE_CATALOG = [
+  { id: 'zone-1', name: 'Crane Yard', color: '#eab308', icon: '🏗️', capacity: ZONE_CAPACITY, namePolicy: 'displayName', openingHours: { open: '10:00', close: '21:00' } },
+  { id: 'zone-3', name: 'Brick Works', color: '#f59e0b', icon: '🧱', capacity: ZONE_CAPACITY, namePolicy: 'firstInitial', openingHours: { open: '10:00', close: '21:00' } },
+  { id: 'zone-2', name: 'Dig Site', color: '#10b981', icon: '🚜', capacity: ZONE_CAPACITY, namePolicy: 'token', openingHours: { open: '10:00', close: '21:00' } },
+  { id: 'zone-5', name: 'Road Crew', color: '#3b82f6', icon: '🚧', capacity: ZONE_CAPACITY, openingHours: { open: '11:00', close: '20:00' } },
+  { id: 'zone-4', name: 'Tool Shed', color: '#ef4444', icon: '🔧', capacity: ZONE_CAPACITY, openingHours: { open: '10:00', close: '21:00' } }
+];
+
+const NAMES = [
+  'Aarav', 'Diya', 'Vihaan', 'Anaya', 'Ishaan', 'Myra', 'Kabir', 'Saanvi',
+  'Arjun', 'Kiara', 'Reyansh', 'Aadhya', 'Vivaan', 'Pari', 'Advik', 'Navya'
+];
+
+const SURNAMES = ['Sharma', 'Rao', 'Iyer', 'Patel', 'Reddy', 'Nair', 'Gowda', 'Menon'];
+
+// Animal keys for queue tokens, as in TOKEN_AVATARS (queue-privacy.js)
+const TOKEN_ANIMALS = [
+  'fox', 'bear', 'panda', 'tiger', 'lion', 'frog',
+  'monkey', 'rabbit', 'koala', 'octopus', 'owl', 'turtle'
+];
+
+// zoneId -> { version, waiting, inside, usedTokens: Set<string>,
+//             clients: Map<ServerResponse, boolean> (true for staff streams) }
+const zones = new Map();
+let nextChildId = 1;
+
+/**
+ * Queue state for a zone, created on first use
+ * @param {string} zoneId
+ * @returns {Object}
+ */
+function getZone(zoneId) {
+  if (!zones.has(zoneId)) {
+    const zone = { version: 1, waiting: [], inside: [], usedTokens: new Set(), clients: new Map() };
+    for (let i = 0; i < 4; i++) zone.waiting.push(newChild(zone));
+    for (let i = 0; i < 3; i++) zone.inside.push(newChild(zone));
+    zones.set(zoneId, zone);
+  }
+  return zones.get(zoneId);
+}
+
+/**
+ * A token not yet given out in this zone today, so no two children on a
+ * screen share one
+ * @param {Object} zone
+ * @returns {{animal: string, number: number}}
+ */
+function assignToken(zone) {
+  let token;
+  do {
+    token = {
+      animal: TOKEN_ANIMALS[Math.floor(Math.random() * TOKEN_ANIMALS.length)],
+      number: 100 + Math.floor(Math.random() * 900)
+    };
+  } while (zone.usedTokens.has(`${token.animal}-${token.number}`));
+  zone.usedTokens.add(`${token.animal}-${token.number}`);
+  return token;
+}
+
+/**
+ * A child with a random legal name, a display name for some and a queue token
+ * @param {Object} zone
+ * @returns {{id: string, name: string, displayName: string, token: Object}}
+ */
+function newChild(zone) {
+  const first = NAMES[Math.floor(Math.random() * NAMES.length)];
+  const last = SURNAMES[Math.floor(Math.random() * SURNAMES.length)];
+  const displayName = Math.random() < 0.5 ? first : '';
+  return { id: `c${nextChildId++}`, name: `${first} ${last}`, displayName, token: assignToken(zone) };
+}
+
+/**
+ * First name plus the initial of the last, as the backend sends it as shortName
+ * @param {string} fullName
+ * @returns {string}
+ */
+function toShortName(fullName) {
+  const words = fullName.trim().split(/\s+/);
+  return words.length > 1 ? `${words[0]} ${words[words.length - 1].charAt(0)}.` : words[0];
+}
+
+/**
+ * A child as the public endpoints send it: no legal name
+ * @param {Object} child
+ * @returns {Object}
+ */
+function toPublicChild(child) {
+  return { id: child.id, displayName: child.displayName, shortName: toShortName(child.name), token: child.token };
+}
+
+/**
+ * Current snapshot of a zone
+ * @param {Object} zone
+ * @param {boolean} staff - Include legal names
+ * @returns {Object}
+ */
+function snapshot(zone, staff) {
+  const list = children => (staff ? children : children.map(toPublicChild));
+  return { version: zone.version, capacity: ZONE_CAPACITY, waiting: list(zone.waiting), inside: list(zone.inside) };
+}
+
+/**
+ * A diff as the public stream sends it
+ * @param {Object} diff
+ * @returns {Object}
+ */
+function toPublicDiff(diff) {
+  return { ...diff, ops: diff.ops.map(op => (op.child ? { ...op, child: toPublicChild(op.child) } : op)) };
+}
+
+/**
+ * Make one random change to a zone's queue and describe it as diff ops
+ * @param {Object} zone
+ * @returns {Array<Object>}
+ */
+function mutate(zone) {
+  const roll = Math.random();
+
+  if (roll < 0.35 || (zone.waiting.length === 0 && zone.inside.length === 0)) {
+    const child = newChild(zone);
+    zone.waiting.push(child);
+    return [{ op: 'add', list: 'waiting', child, index: zone.waiting.length - 1 }];
+  }
+
+  if (roll < 0.7 && zone.waiting.length > 0 && zone.inside.length < ZONE_CAPACITY) {
+    const child = zone.waiting.shift();
+    zone.inside.push(child);
+    return [{ op: 'move', from: 'waiting', to: 'inside', id: child.id, index: zone.inside.length - 1 }];
+  }
+
+  if (zone.inside.length > 0) {
+    const child = zone.inside.shift();
+    return [{ op: 'remove', list: 'inside', id: child.id }];
+  }
+
+  const child = zone.waiting.pop();
+  return [{ op: 'remove', list: 'waiting', id: child.id }];
+}
+
+/**
+ * Write one SSE event
+ * @param {http.ServerResponse} res
+ * @param {string} event
+ * @param {Object} data
+ * @param {number} id
+ */
+function sendEvent(res, event, data, id) {
+  res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * CORS headers so the page can be opened from a file or another port
+ * @param {http.ServerResponse} res
+ */
+function setCorsHeaders(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Accept, Last-Event-ID, Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+}
+
+const server = http.createServer((req, res) => {
+  setCorsHeaders(res);
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  const zoneId = url.searchParams.get('zoneId');
+
+  const staff = url.pathname.startsWith('/api/v1/queue');
+
+  if ((url.pathname === '/api/v1/public/queue' || url.pathname === '/api/v1/queue') && zoneId) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(snapshot(getZone(zoneId), staff)));
+    return;
+  }
+
+  if (url.pathname === '/api/v1/public/zones') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ zones: ZONE_CATALOG }));
+    return;
+  }
+
+  if (url.pathname === '/api/v1/metrics/average-ride-duration') {
+    const rideDurations = Array.from(zones.keys()).map(id => ({
+      zoneId: id,
+      zoneName: id,
+      averageDurationSeconds: RIDE_DURATION_SECONDS,
+      sampleSize: 42
+    }));
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ rideDurations }));
+    return;
+  }
+
+  if ((url.pathname === '/api/v1/public/queue/stream' || url.pathname === '/api/v1/queue/stream') && zoneId) {
+    const zone = getZone(zoneId);
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.write('retry: 2000\n\n');
+    sendEvent(res, 'snapshot', snapshot(zone, staff), zone.version);
+    zone.clients.set(res, staff);
+    console.log(`[${zoneId}] stream opened (${zone.clients.size} open)`);
+
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_MS);
+    const drop = DROP_EVERY_MS ? setTimeout(() => res.end(), DROP_EVERY_MS) : null;
+
+    req.on('close', () => {
+      clearInterval(keepalive);
+      clearTimeout(drop);
+      zone.clients.delete(res);
+      console.log(`[${zoneId}] stream closed (${zone.clients.size} open)`);
+    });
+    return;
+  }
+
+  res.writeHead(404, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ success: false, message: 'Not found' }));
+});
+
+// Change every zone that has been requested and push the diff to its streams
+setInterval(() => {
+  zones.forEach((zone, zoneId) => {
+    const ops = mutate(zone);
+    // With SKIP_VERSION, now and then pretend a diff was lost so clients must resync
+    const skipped = SKIP_VERSION && Math.random() < 0.1 ? 1 : 0;
+    const diff = { baseVersion: zone.version + skipped, version: zone.version + 1 + skipped, ops };
+    zone.version = diff.version;
+    const publicDiff = toPublicDiff(diff);
+    zone.clients.forEach((staff, res) => sendEvent(res, 'diff', staff ? diff : publicDiff, zone.version));
+    if (zone.clients.size > 0) {
+      console.log(`[${zoneId}] v${zone.version}`, JSON.stringify(ops));
+    }
+  });
+}, TICK_MS);
+
+server.listen(PORT, () => {
+  console.log(`Mock queue API listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,211 @@
+/*
+ * my-queue.js – Parent-facing queue tracker
+ *
+ * Parents open my-queue.html from the link on the completion page. The
+ * signed check-in token (see checkin-token.js) rides in the URL fragment, so
+ * it is never sent in a request line or logged, and doubles as the parent's
+ * credential: the page needs no login.
+ *
+ * API: POST /api/v1/public/my-queue { token }
+ *        -> { success, children: [{ id, name, displayName, queues: [{ zoneId, status,
+ *             position, insideCount, capacity, averageRideSeconds, calledAt,
+ *             token: { animal, number } }] }] }
+ *
+ * The backend only returns the children on that consent, each with their
+ * place in every zone they are queued for (status 'waiting' or 'inside'; a
+ * waiting child the operator has called to the entrance has calledAt), so
+ * no other child's name ever reaches this page. Waits are estimated with
+ * queue-estimates.js, exactly as on the zone screens. Each queue carries the
+ * token the backend assigned the child in that zone, the same one the zone
+ * screen shows, so on zones that show tokens instead of names (see
+ * queue-privacy.js) the parent is told which token is theirs.
+ *
+ * The page polls while it is visible and refreshes as soon as the parent
+ * comes back to it.
+ */
+
+const MY_QUEUE_API_URL = 'https://www.littleengineersplayground.com/api/v1/public/my-queue';
+
+// How often to refresh while the page is open (in milliseconds)
+const MY_QUEUE_REFRESH_INTERVAL = 10000;
+
+// State
+let trackerToken = null;
+let trackerTimerId = null;
+let trackerStopped = false;
+
+// DOM Elements
+const trackerChildren = document.getElementById('trackerChildren');
+const trackerMessage = document.getElementById('trackerMessage');
+const trackerUpdated = document.getElementById('trackerUpdated');
+
+document.addEventListener('DOMContentLoaded', async () => {
+  trackerToken = new URLSearchParams(window.location.hash.slice(1)).get('token');
+
+  if (!trackerToken) {
+    showTrackerMessage('error', 'This link is incomplete. Please open it again from your consent confirmation.');
+    return;
+  }
+
+  // Catch expired links without a round trip
+  const check = await verifyCheckInToken(trackerToken);
+  if (!check.valid && check.reason === 'expired') {
+    showTrackerMessage('error', 'This link has expired. Please ask staff at the entrance for your child\'s place in the queue.');
+    return;
+  }
+  if (!check.valid && check.reason !== 'unknownKey') {
+    showTrackerMessage('error', 'This link is not valid. Please open it again from your consent confirmation.');
+    return;
+  }
+
+  loadZoneCatalog();
+  refreshTracker();
+
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') {
+      refreshTracker();
+    } else {
+      clearTimeout(trackerTimerId);
+    }
+  });
+});
+
+/**
+ * Fetch the family's queue places and schedule the next refresh
+ */
+async function refreshTracker() {
+  clearTimeout(trackerTimerId);
+  if (trackerStopped) return;
+
+  try {
+    const response = await fetch(MY_QUEUE_API_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token: trackerToken }),
+      cache: 'no-store'
+    });
+
+    if (response.status === 401 || response.status === 403) {
+      trackerStopped = true;
+      showTrackerMessage('error', 'This link is no longer valid. Please ask staff at the entrance for help.');
+      return;
+    }
+
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.message || `API returned ${response.status}`);
+    }
+
+    hideTrackerMessage();
+    renderTracker(data.children || []);
+    trackerUpdated.textContent = `Updated ${new Date().toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}`;
+  } catch (error) {
+    console.error('Error fetching queue places:', error);
+    showTrackerMessage('warning', 'Having trouble updating – we\'ll keep trying.');
+  }
+
+  if (document.visibilityState === 'visible') {
+    trackerTimerId = setTimeout(refreshTracker, MY_QUEUE_REFRESH_INTERVAL);
+  }
+}
+
+/**
+ * One card per child with their place in each zone
+ * @param {Array} children
+ */
+function renderTracker(children) {
+  trackerChildren.innerHTML = '';
+
+  if (children.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'text-gray-600';
+    empty.textContent = 'We couldn\'t find any children on this consent.';
+    trackerChildren.appendChild(empty);
+    return;
+  }
+
+  children.forEach(child => {
+    const card = document.createElement('div');
+    card.className = 'tracker-child';
+
+    const name = document.createElement('h2');
+    name.className = 'text-2xl font-bold text-gray-800 mb-2';
+    name.textContent = child.displayName || child.name;
+    card.appendChild(name);
+
+    const queues = child.queues || [];
+    if (queues.length === 0) {
+      const idle = document.createElement('p');
+      idle.className = 'text-gray-600';
+      idle.textContent = 'Not in a queue right now. Staff at any zone can add them.';
+      card.appendChild(idle);
+    }
+
+    queues.forEach(queue => card.appendChild(createQueueRow(queue)));
+    trackerChildren.appendChild(card);
+  });
+}
+
+/**
+ * A child's place in one zone
+ * @param {Object} queue
+ * @returns {HTMLElement}
+ */
+function createQueueRow(queue) {
+  const zone = getZone(queue.zoneId);
+  const row = document.createElement('div');
+  row.className = `tracker-queue ${queue.status}`;
+  if (zone) {
+    row.style.borderLeftColor = zone.color;
+  }
+
+  const zoneName = document.createElement('div');
+  zoneName.className = 'font-semibold text-gray-800';
+  zoneName.textContent = zone && zone.icon ? `${zone.icon} ${zone.name}` : getZoneName(queue.zoneId);
+
+  const detail = document.createElement('div');
+  detail.className = 'tracker-detail';
+
+  if (queue.status === 'inside') {
+    detail.textContent = '✅ Playing now';
+  } else if (queue.calledAt) {
+    row.classList.add('called');
+    detail.textContent = '📣 Called – please come to the zone entrance now';
+  } else if (queue.position === 1) {
+    detail.textContent = '🎉 Next up – please come to the zone entrance';
+  } else {
+    const capacity = queue.capacity || (zone ? zone.capacity : null);
+    const seconds = estimateWaitSeconds(queue.position, queue.insideCount || 0, capacity, queue.averageRideSeconds);
+    detail.textContent = `#${queue.position} in line · ${formatWaitEstimate(seconds)}`;
+  }
+
+  // On zones that hide names, tell the parent which token is theirs
+  if (getZoneNamePolicy(queue.zoneId) === 'token' && getChildToken(queue)) {
+    const shownAs = document.createElement('div');
+    shownAs.className = 'text-sm text-gray-600';
+    shownAs.textContent = `Shown on the screen as ${formatPublicName(queue, 'token')}`;
+    zoneName.appendChild(shownAs);
+  }
+
+  row.appendChild(zoneName);
+  row.appendChild(detail);
+  return row;
+}
+
+/**
+ * Show a message above the children
+ * @param {string} type - 'error' or 'warning'
+ * @param {string} message
+ */
+function showTrackerMessage(type, message) {
+  trackerMessage.className = type === 'error' ? 'sync-status rejected' : 'sync-status';
+  trackerMessage.textContent = message;
+  trackerMessage.style.display = 'block';
+}
+
+/**
+ * Hide the message
+ */
+function hideTrackerMessage() {
+  trackerMessage.style.display = 'none';
+}
@@ -0,0 +1,111 @@
+/*
+ * otp.js – One-time-code verification of the parent's mobile number
+ *
+ * Existing family data (parent name, children's names and birthdates) is only
+ * revealed, and a consent only submitted, once the parent proves they hold the
+ * mobile number by entering a code sent to it by SMS.
+ *
+ * Sending is pluggable. Each provider implements:
+ *
+ *   send(mobile)                   -> { requestId, expiresIn?, devCode? }
+ *   verify(mobile, code, requestId) -> { verified: boolean, token?: string }
+ *
+ * The `api` provider asks the backend to send the SMS and returns the signed
+ * verification token the backend expects on /api/consent. The `mock`
+ * provider never leaves the browser: it logs the code to the console and
+ * returns it as devCode so it can be shown on screen during development.
+ * It is selected automatically on localhost (?otp=api tries the real one there).
+ */
+
+const OTP_API_BASE_URL = 'https://www.littleengineersplayground.com/api/otp';
+
+const OTP_RESEND_COOLDOWN_SECONDS = 30;
+
+const OTP_PROVIDERS = {
+  api: {
+    async send(mobile) {
+      const response = await fetch(`${OTP_API_BASE_URL}/send`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ mobile })
+      });
+
+      if (!response.ok) {
+        throw new Error(`OTP send API returned ${response.status}`);
+      }
+
+      const json = await response.json();
+      if (!json || !json.success) {
+        throw new Error((json && json.message) || 'Could not send verification code');
+      }
+      return { requestId: json.requestId, expiresIn: json.expiresIn };
+    },
+
+    async verify(mobile, code, requestId) {
+      const response = await fetch(`${OTP_API_BASE_URL}/verify`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ mobile, code, requestId })
+      });
+
+      // 400/401 mean a wrong or expired code; anything else is a real failure
+      if (response.status === 400 || response.status === 401) {
+        return { verified: false };
+      }
+      if (!response.ok) {
+        throw new Error(`OTP verify API returned ${response.status}`);
+      }
+
+      const json = await response.json();
+      return { verified: Boolean(json && json.success), token: json && json.verificationToken };
+    }
+  },
+
+  mock: (() => {
+    const issued = {};
+    return {
+      async send(mobile) {
+        const code = String(Math.floor(100000 + Math.random() * 900000));
+        const requestId = `mock-${Date.now()}`;
+        issued[requestId] = { mobile, code };
+        console.info(`[mock OTP] Code for ${mobile}: ${code}`);
+        return { requestId, expiresIn: 300, devCode: code };
+      },
+
+      async verify(mobile, code, requestId) {
+        const entry = issued[requestId];
+        if (!entry || entry.mobile !== mobile || entry.code !== code) {
+          return { verified: false };
+        }
+        delete issued[requestId];
+        return { verified: true, token: `mock.${requestId}` };
+      }
+    };
+  })()
+};
+
+/**
+ * Register an additional provider (e.g. a different SMS gateway integration)
+ * @param {string} name
+ * @param {{send: Function, verify: Function}} provider
+ */
+function registerOtpProvider(name, provider) {
+  OTP_PROVIDERS[name] = provider;
+}
+
+/**
+ * Pick the provider for this page. On localhost the mock is the default and
+ * ?otp=<name> may pick another; anywhere else it is always the api, so a
+ * crafted link can't put the mock (and its on-screen code) in front of parents.
+ * @returns {{send: Function, verify: Function}}
+ */
+function getOtpProvider() {
+  const host = window.location.hostname;
+  const isLocal = host === 'localhost' || host === '127.0.0.1' || window.location.protocol === 'file:';
+  if (!isLocal) {
+    return OTP_PROVIDERS.api;
+  }
+
+  const requested = new URLSearchParams(window.location.search).get('otp');
+  return requested && OTP_PROVIDERS[requested] ? OTP_PROVIDERS[requested] : OTP_PROVIDERS.mock;
+}
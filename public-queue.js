@@ -5,24 +5,81 @@
  * showing children waiting and currently inside the zone.
  * 
  * API: GET /api/v1/public/queue?zoneId={zoneId}
+ *      GET /api/v1/public/zones (names, colours and capacity, see zones.js)
+ *      GET /api/v1/public/queue/stream?zoneId={zoneId} (push updates, see queue-stream.js)
+ *      GET /api/v1/metrics/average-ride-duration (wait estimates, see queue-estimates.js)
+ *
+ * Children are named according to the zone's privacy policy, never by their
+ * legal name (see queue-privacy.js).
+ *
+ * Children reaching the front or being called inside are announced with a
+ * chime and a spoken callout (see queue-announcer.js).
+ *
+ * With ?view=wall the page instead shows every zone side by side (or one at
+ * a time with &rotate=<seconds>) for the entrance screen: counts and the
+ * first few names per zone, all refreshed by one polling loop.
+ *
+ * Updates arrive over the stream; while it is down (or in browsers that
+ * can't stream) the display falls back to polling every REFRESH_INTERVAL.
+ * Requests carry the staff session token, or the credential of a paired
+ * display, as a bearer header (see auth.js).
+ *
+ * A failed fetch never blanks the screen. The last good snapshot of each
+ * zone is kept (across reloads, see queue-snapshots.js) and stays up; after
+ * STALE_AFTER_FAILURES failures in a row it is marked as stale with its age,
+ * and polling backs off up to MAX_REFRESH_INTERVAL. The first good update
+ * clears the mark without any fuss.
  */
 
 // API Base URL - update this to match your backend
-const API_BASE_URL = "https://www.littleengineersplayground.com/api/v1/public/queue";
+const API_BASE_URL = `${getApiOrigin()}/api/v1/public/queue`;
+const RIDE_DURATION_URL = `${getApiOrigin()}/api/v1/metrics/average-ride-duration`;
+const ZONES_URL = `${getApiOrigin()}/api/v1/public/zones`;
 
+// Auto-refresh interval (in milliseconds), used only while the stream is down
+const REFRESH_INTERVAL = 5000; // 5 seconds
 
+// Failed fetches double the interval, up to this
+const MAX_REFRESH_INTERVAL = 60000; // 1 minute
 
+// A single failed fetch is usually a blip; this many in a row means the data is stale
+const STALE_AFTER_FAILURES = 3;
 
+// How often the age shown on stale data is updated (in milliseconds)
+const STALE_NOTICE_REFRESH_MS = 30000;
 
+const CONNECTION_STATE_LABELS = {
+  connecting: '● Connecting…',
+  live: '● Live',
+  reconnecting: '● Reconnecting – updating regularly',
+  polling: '● Updating regularly'
+};
 
+// Wall display: names shown per zone
+const WALL_NAMES_PER_ZONE = 3;
+const WALL_MIN_ROTATE_SECONDS = 5;
 
-// Auto-refresh interval (in milliseconds)
-const REFRESH_INTERVAL = 5000; // 5 seconds
+// Card animation timings (in milliseconds)
+const CARD_MOVE_MS = 600;
+const CARD_FADE_MS = 400;
 
 // State
 let currentZoneId = null;
 let selectedZoneName = null;
-let refreshIntervalId = null;
+let refreshTimerId = null;
+let queueStream = null;
+let queueState = null;
+let averageRideSeconds = null;
+let rideDurationTimerId = null;
+let wallZones = [];
+let wallRotateIndex = 0;
+let wallRotateTimerId = null;
+let fetchFailures = 0;
+let lastGoodAt = null; // when the data on screen was fetched
+let staleTimerId = null;
+
+// Cards on screen, keyed by getChildKey(), so updates can reuse and animate them
+const childCards = new Map();
 
 // DOM Elements
 const zoneBtn = document.getElementById('zoneBtn');
@@ -33,41 +90,68 @@ const insideList = document.getElementById('insideList');
 const waitingCount = document.getElementById('waitingCount');
 const insideCount = document.getElementById('insideCount');
 const errorMessage = document.getElementById('errorMessage');
+const staleNotice = document.getElementById('staleNotice');
 const lastUpdated = document.getElementById('lastUpdated');
+const connectionStatus = document.getElementById('connectionStatus');
+const announcerBtn = document.getElementById('announcerBtn');
+const announcerPanel = document.getElementById('announcerPanel');
+const announcerZoneName = document.getElementById('announcerZoneName');
+const announcerEnabled = document.getElementById('announcerEnabled');
+const announcerVolume = document.getElementById('announcerVolume');
+const announcerQuietStart = document.getElementById('announcerQuietStart');
+const announcerQuietEnd = document.getElementById('announcerQuietEnd');
+const announcerLanguage = document.getElementById('announcerLanguage');
+const soundHint = document.getElementById('soundHint');
+const wallGrid = document.getElementById('wallGrid');
+
+/**
+ * Backend origin. A local mock server can be used with ?api=http://localhost:8787,
+ * but only from localhost so a crafted link can't send credentials elsewhere.
+ * @returns {string}
+ */
+function getApiOrigin() {
+  const defaultOrigin = 'https://www.littleengineersplayground.com';
+  const override = new URLSearchParams(window.location.search).get('api');
+  const host = window.location.hostname;
+  const isLocalPage = host === 'localhost' || host === '127.0.0.1' || window.location.protocol === 'file:';
+  if (!override || !isLocalPage) {
+    return defaultOrigin;
+  }
+  try {
+    const url = new URL(override);
+    return url.hostname === 'localhost' || url.hostname === '127.0.0.1' ? url.origin : defaultOrigin;
+  } catch (error) {
+    return defaultOrigin;
+  }
+}
 
 // Event Listeners
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+  // A paired display (see auth.js) is locked to the zone it was paired with
+  const pairedDevice = isPairedDisplay() ? getDeviceCredential() : null;
+  if (pairedDevice) {
+    document.querySelector('.logout-section').style.display = 'none';
+  }
+
   // Toggle zone dropdown
   zoneBtn.addEventListener('click', (e) => {
     e.stopPropagation();
+    if (pairedDevice) return;
     zoneDropdown.classList.toggle('show');
   });
   
   // Zone option selection
-  const zoneOptions = document.querySelectorAll('.zone-option');
-  zoneOptions.forEach(option => {
-    option.addEventListener('click', (e) => {
-      e.stopPropagation();
-      
-      // Remove selected class from all options
-      zoneOptions.forEach(opt => opt.classList.remove('selected'));
-      
-      // Add selected class to clicked option
-      option.classList.add('selected');
-      
-      // Store selected zone
-      currentZoneId = option.dataset.zone;
-      selectedZoneName = option.textContent;
-      
-      // Update button text
-      zoneBtnText.textContent = selectedZoneName;
-      
-      // Hide dropdown
-      zoneDropdown.classList.remove('show');
-      
-      // Automatically load queue data and start auto-refresh
-      handleLoadQueue();
-    });
+  renderZoneOptions();
+  zoneDropdown.addEventListener('click', (e) => {
+    const option = e.target.closest('.zone-option');
+    if (!option) return;
+    e.stopPropagation();
+    
+    // Hide dropdown
+    zoneDropdown.classList.remove('show');
+    
+    // Automatically load queue data and start auto-refresh
+    selectZone(option.dataset.zone);
   });
   
   // Close dropdown when clicking outside
@@ -75,21 +159,87 @@ document.addEventListener('DOMContentLoaded', () => {
     zoneDropdown.classList.remove('show');
   });
   
-  // Check if zone is passed in URL query parameter
+  // Announcement settings
+  Object.entries(ANNOUNCER_LANGUAGES).forEach(([code, language]) => {
+    announcerLanguage.appendChild(new Option(language.label, code));
+  });
+  announcerBtn.addEventListener('click', () => {
+    const open = announcerPanel.style.display === 'none';
+    announcerPanel.style.display = open ? 'block' : 'none';
+    if (open) fillAnnouncerSettings();
+  });
+  [announcerEnabled, announcerVolume, announcerQuietStart, announcerQuietEnd, announcerLanguage].forEach(input => {
+    input.addEventListener('change', handleAnnouncerSettingsChange);
+  });
+  document.getElementById('announcerTest').addEventListener('click', () => {
+    const settings = loadAnnouncerSettings(currentZoneId);
+    announce('next', 'Test', selectedZoneName, settings);
+  });
+
+  // Browsers only allow sound after an interaction with the page
+  ['pointerdown', 'keydown'].forEach(type => {
+    document.addEventListener(type, () => {
+      unlockAnnouncerAudio();
+      setTimeout(updateSoundHint, 100);
+    });
+  });
+  
+  // Latest zone names and capacities before anything is shown
+  await loadZoneCatalog(ZONES_URL);
+  renderZoneOptions();
+
   const urlParams = new URLSearchParams(window.location.search);
-  const zoneParam = urlParams.get('zone');
-  if (zoneParam) {
-    currentZoneId = zoneParam;
-    const matchingOption = Array.from(zoneOptions).find(opt => opt.dataset.zone === zoneParam);
-    if (matchingOption) {
-      matchingOption.classList.add('selected');
-      selectedZoneName = matchingOption.textContent;
-      zoneBtnText.textContent = selectedZoneName;
-      handleLoadQueue();
-    }
+
+  // Entrance screen: all zones at once
+  const wallMode = pairedDevice ? pairedDevice.zoneId === ALL_ZONES_ID : urlParams.get('view') === 'wall';
+  if (wallMode) {
+    startWallMode(Number(urlParams.get('rotate')) || 0);
+    return;
+  }
+  
+  // Check if zone is passed in URL query parameter
+  const zoneParam = pairedDevice ? pairedDevice.zoneId : urlParams.get('zone');
+  if (zoneParam && getZone(zoneParam)) {
+    selectZone(zoneParam);
   }
 });
 
+/**
+ * Fill the zone dropdown from the zone catalog
+ */
+function renderZoneOptions() {
+  zoneDropdown.innerHTML = '';
+  getZones().forEach(zone => {
+    const option = document.createElement('div');
+    option.className = 'zone-option';
+    option.dataset.zone = zone.id;
+    option.textContent = zone.icon ? `${zone.icon} ${zone.name}` : zone.name;
+    option.style.borderLeft = `6px solid ${zone.color}`;
+    option.classList.toggle('selected', zone.id === currentZoneId);
+    zoneDropdown.appendChild(option);
+  });
+}
+
+/**
+ * Show a zone's queue
+ * @param {string} zoneId
+ */
+function selectZone(zoneId) {
+  const zone = getZone(zoneId);
+  
+  // Store selected zone
+  currentZoneId = zoneId;
+  selectedZoneName = zone ? zone.name : zoneId;
+  
+  // Mark it in the dropdown and on the button
+  zoneDropdown.querySelectorAll('.zone-option').forEach(option => {
+    option.classList.toggle('selected', option.dataset.zone === zoneId);
+  });
+  zoneBtnText.textContent = zone && zone.icon ? `${zone.icon} ${selectedZoneName}` : selectedZoneName;
+  
+  handleLoadQueue();
+}
+
 /**
  * Handle load queue (called automatically when zone is selected)
  */
@@ -98,17 +248,154 @@ function handleLoadQueue() {
     return;
   }
   
-  // Stop existing auto-refresh
-  if (refreshIntervalId) {
-    clearInterval(refreshIntervalId);
-    refreshIntervalId = null;
+  // Stop updates for the previous zone
+  stopAutoRefresh();
+  stopQueueStream();
+  clearInterval(rideDurationTimerId);
+  queueState = null;
+  averageRideSeconds = null;
+  fetchFailures = 0;
+  lastGoodAt = null;
+  setQueueStale(false);
+
+  // Announcement settings follow the zone
+  announcerBtn.disabled = false;
+  if (announcerPanel.style.display !== 'none') {
+    fillAnnouncerSettings();
   }
+  updateSoundHint();
   
-  // Load queue data immediately
+  // Show the last known queue straight away, if there is one, then load
+  const cached = loadQueueSnapshot(currentZoneId);
+  if (cached) {
+    // Shown, but not kept as queueState: its version may predate a backend restart
+    lastGoodAt = cached.savedAt;
+    // Not announced: it may be hours old
+    renderQueueData(cached.data, { announce: false });
+    updateLastUpdatedTime(cached.savedAt);
+  } else {
+    showLoading();
+  }
   fetchQueueData();
   
-  // Start auto-refresh (always enabled)
-  startAutoRefresh();
+  // Subscribe to push updates (falls back to polling)
+  startQueueStream();
+
+  // Ride duration for the wait estimates, refreshed now and then
+  refreshRideDuration();
+  rideDurationTimerId = setInterval(refreshRideDuration, RIDE_DURATION_CACHE_MS);
+}
+
+/**
+ * Show the current zone's announcement settings in the panel
+ */
+function fillAnnouncerSettings() {
+  const settings = loadAnnouncerSettings(currentZoneId);
+  announcerZoneName.textContent = selectedZoneName;
+  announcerEnabled.checked = settings.enabled;
+  announcerVolume.value = Math.round(settings.volume * 100);
+  announcerQuietStart.value = settings.quietStart;
+  announcerQuietEnd.value = settings.quietEnd;
+  announcerLanguage.value = settings.language;
+}
+
+/**
+ * Save the panel's announcement settings for the current zone
+ */
+function handleAnnouncerSettingsChange() {
+  if (!currentZoneId) return;
+  saveAnnouncerSettings(currentZoneId, {
+    enabled: announcerEnabled.checked,
+    volume: Number(announcerVolume.value) / 100,
+    quietStart: announcerQuietStart.value,
+    quietEnd: announcerQuietEnd.value,
+    language: announcerLanguage.value
+  });
+  updateSoundHint();
+}
+
+/**
+ * Ask for a tap while announcements are on but the browser is blocking sound
+ */
+function updateSoundHint() {
+  const wanted = currentZoneId && loadAnnouncerSettings(currentZoneId).enabled;
+  soundHint.style.display = wanted && !isAnnouncerAudioUnlocked() ? 'block' : 'none';
+}
+
+/**
+ * Reload the zone's average ride duration and redraw the estimates
+ */
+async function refreshRideDuration() {
+  const zoneId = currentZoneId;
+  const seconds = await loadAverageRideDuration(RIDE_DURATION_URL, { id: zoneId, name: selectedZoneName });
+  if (zoneId !== currentZoneId) return; // zone changed while loading
+
+  averageRideSeconds = seconds;
+  if (queueState) {
+    renderQueueData(queueState, { announce: false });
+  }
+}
+
+/**
+ * Subscribe to push updates for the current zone
+ */
+function startQueueStream() {
+  if (!isQueueStreamSupported()) {
+    setConnectionState('polling');
+    startAutoRefresh();
+    return;
+  }
+
+  const url = `${API_BASE_URL}/stream?zoneId=${encodeURIComponent(currentZoneId)}`;
+  queueStream = openQueueStream(url, {
+    onSnapshot(data) {
+      showFreshQueueData(data);
+    },
+
+    onDiff(diff) {
+      const next = applyQueueDiff(queueState, diff);
+      if (!next) {
+        // We missed an update; reconnect for a fresh snapshot
+        console.warn('Queue diff out of sequence, resyncing');
+        queueStream.restart();
+        return;
+      }
+      queueState = next;
+      renderQueueData(next);
+      recordQueueSuccess(saveQueueSnapshot(currentZoneId, next));
+    },
+
+    onStateChange(state) {
+      if (state === 'closed') return;
+      setConnectionState(state);
+      // Poll until the stream is live (or while it is down) so the screen never goes stale
+      if (state === 'live') {
+        stopAutoRefresh();
+      } else {
+        startAutoRefresh();
+      }
+    }
+  });
+}
+
+/**
+ * Close the push connection
+ */
+function stopQueueStream() {
+  if (queueStream) {
+    queueStream.close();
+    queueStream = null;
+  }
+}
+
+/**
+ * Show the connection state indicator
+ * @param {string} state - 'connecting', 'live', 'reconnecting' or 'polling'
+ */
+function setConnectionState(state) {
+  if (!connectionStatus) return;
+  connectionStatus.className = `connection-status ${state}`;
+  connectionStatus.textContent = CONNECTION_STATE_LABELS[state] || '';
 }
 
 /**
@@ -125,137 +412,398 @@ function handleAutoRefreshToggle() {
  * Start auto-refresh timer
  */
 function startAutoRefresh() {
-  if (refreshIntervalId) return; // Already running
-  
-  refreshIntervalId = setInterval(() => {
-    if (currentZoneId) {
-      fetchQueueData();
+  if (refreshTimerId) return; // Already running
+  scheduleRefresh();
+}
+
+/**
+ * Queue the next refresh, backing off while fetches are failing
+ */
+function scheduleRefresh() {
+  const delay = Math.min(MAX_REFRESH_INTERVAL, REFRESH_INTERVAL * Math.pow(2, fetchFailures));
+  const timerId = setTimeout(async () => {
+    if (wallZones.length > 0) {
+      await fetchWallData();
+    } else if (currentZoneId) {
+      await fetchQueueData();
+    }
+    // Unless stopped (or restarted) while fetching
+    if (refreshTimerId === timerId) {
+      scheduleRefresh();
     }
-  }, REFRESH_INTERVAL);
+  }, delay);
+  refreshTimerId = timerId;
 }
 
 /**
  * Stop auto-refresh timer
  */
 function stopAutoRefresh() {
-  if (refreshIntervalId) {
-    clearInterval(refreshIntervalId);
-    refreshIntervalId = null;
+  if (refreshTimerId) {
+    clearTimeout(refreshTimerId);
+    refreshTimerId = null;
   }
 }
 
+/**
+ * Fetch one zone's queue snapshot
+ * @param {string} zoneId
+ * @returns {Promise<Object>}
+ */
+async function fetchZoneQueue(zoneId) {
+  // 👇 Backend will clearly receive a query like ?zoneId=Z1
+  const url = `${API_BASE_URL}?zoneId=${encodeURIComponent(zoneId)}`;
+  console.log("Fetching data from:", url); // helpful for backend debugging
+
+  const response = await authFetch(url);
+
+  if (!response.ok) {
+    throw new Error(`API returned ${response.status}: ${response.statusText}`);
+  }
+
+  return await response.json();
+}
+
 /**
  * Fetch queue data from API
  */
 async function fetchQueueData() {
   if (!currentZoneId) return; // make sure a zone is selected
+  const zoneId = currentZoneId;
 
   try {
-    hideError();
-    showLoading();
+    const data = await fetchZoneQueue(zoneId);
+    if (zoneId !== currentZoneId) return; // zone changed while loading
+    showFreshQueueData(data);
 
-    // 👇 Backend will clearly receive a query like ?zoneId=Z1
-    const url = `${API_BASE_URL}?zoneId=${encodeURIComponent(currentZoneId)}`;
-    console.log("Fetching data from:", url); // helpful for backend debugging
+  } catch (error) {
+    if (zoneId !== currentZoneId) return;
+    console.error("Error fetching queue data:", error);
+    recordQueueFailure(error);
+  }
+}
 
-    const response = await fetch(url);
+/**
+ * Show a snapshot just received from the backend, and keep it for later
+ * @param {Object} data
+ */
+function showFreshQueueData(data) {
+  // A polled snapshot may resolve after newer streamed state; keep the newer one
+  if (queueState && typeof data.version === 'number' && data.version < queueState.version) {
+    return;
+  }
+  if (fetchFailures >= STALE_AFTER_FAILURES) {
+    // Back after an outage: don't call out what happened while we were away
+    resetQueueAnnouncements();
+  }
+  queueState = data;
+  renderQueueData(data);
+  recordQueueSuccess(saveQueueSnapshot(currentZoneId, data));
+}
 
-    if (!response.ok) {
-      throw new Error(`API returned ${response.status}: ${response.statusText}`);
-    }
+/**
+ * Note a good update: clear any stale mark and reset the backoff
+ * @param {number} fetchedAt - When the data on screen was fetched
+ */
+function recordQueueSuccess(fetchedAt) {
+  fetchFailures = 0;
+  lastGoodAt = fetchedAt;
+  setQueueStale(false);
+  hideError();
+  updateLastUpdatedTime(fetchedAt);
+}
 
-    const data = await response.json();
-    renderQueueData(data);
-    updateLastUpdatedTime();
+/**
+ * Note a failed fetch. The screen keeps what it has; only after several
+ * failures in a row is it marked stale (or, with nothing to show, an error).
+ * @param {Error} error
+ */
+function recordQueueFailure(error) {
+  fetchFailures += 1;
+  if (fetchFailures < STALE_AFTER_FAILURES) return;
 
-  } catch (error) {
-    console.error("Error fetching queue data:", error);
+  if (lastGoodAt) {
+    setQueueStale(true);
+  } else {
     showError(`Failed to fetch queue data: ${error.message}`);
-    renderEmptyState();
+    if (wallZones.length === 0) {
+      renderEmptyState();
+    }
   }
 }
 
+/**
+ * Mark the data on screen as stale, or not
+ * @param {boolean} stale
+ */
+function setQueueStale(stale) {
+  document.body.classList.toggle('stale', stale);
+  clearInterval(staleTimerId);
+  staleTimerId = null;
+
+  if (stale) {
+    updateStaleNotice();
+    staleTimerId = setInterval(updateStaleNotice, STALE_NOTICE_REFRESH_MS);
+  } else {
+    staleNotice.style.display = 'none';
+  }
+}
+
+/**
+ * Say how old the data on screen is
+ */
+function updateStaleNotice() {
+  const time = new Date(lastGoodAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  staleNotice.textContent = `⚠ Can't reach the queue right now – showing it as of ${time} (${formatSnapshotAge(lastGoodAt)}). Retrying…`;
+  staleNotice.style.display = 'block';
+}
+
 
 /**
  * Render queue data in the UI
+ *
+ * Cards are keyed by child and reused between updates instead of being
+ * rebuilt, so the scroll containers (and their auto-scroll animation) survive
+ * a refresh. Movement is animated FLIP-style: measure every card, apply the
+ * new order, then play each card from its old position to its new one.
+ * @param {Object} data
+ * @param {Object} [options]
+ * @param {boolean} [options.announce=true] - Pass false for data that isn't news (cached, or redrawn)
  */
-function renderQueueData(data) {
-  // Render waiting list
-  if (data.waiting && data.waiting.length > 0) {
-    waitingCount.textContent = data.waiting.length;
-    waitingList.innerHTML = '';
-    
-    // Create scroll container for auto-scroll
-    const scrollContainer = document.createElement('div');
-    scrollContainer.className = 'scroll-container';
-    
-    data.waiting.forEach((child, index) => {
-      const card = createChildCard(child, index + 1);
-      scrollContainer.appendChild(card);
+function renderQueueData(data, options = {}) {
+  const waiting = data.waiting || [];
+  const inside = data.inside || [];
+  const animate = !window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+  if (options.announce !== false) {
+    observeQueueForAnnouncements(currentZoneId, selectedZoneName, data);
+  }
+
+  // First: where every card on screen is right now
+  const previous = new Map();
+  childCards.forEach((card, key) => {
+    if (!card.isConnected) {
+      // wiped by showLoading/renderEmptyState
+      childCards.delete(key);
+      return;
+    }
+    previous.set(key, { rect: card.getBoundingClientRect(), list: card.closest('.child-list') });
+  });
+
+  const keyCounts = new Map();
+  const rendered = new Set();
+  // The snapshot's capacity is live; the catalog's is the zone's usual one
+  const zone = getZone(currentZoneId);
+  const capacity = data.capacity || (zone ? zone.capacity : null);
+  const estimates = estimateQueueWaits({ ...data, capacity }, averageRideSeconds);
+  renderChildList(waitingList, waiting, 'No children waiting', keyCounts, rendered, estimates);
+  renderChildList(insideList, inside, 'No children inside', keyCounts, rendered, null);
+  waitingCount.textContent = waiting.length;
+  insideCount.textContent = inside.length;
+
+  // Departures fade out where they stood
+  childCards.forEach((card, key) => {
+    if (rendered.has(key)) return;
+    if (animate && previous.has(key)) {
+      animateCardGhost(card, previous.get(key).rect, null);
+    }
+    card.remove();
+    childCards.delete(key);
+  });
+
+  adjustChildListDisplay(waitingList, waiting.length);
+  adjustChildListDisplay(insideList, inside.length);
+
+  if (!animate) return;
+
+  // Last, invert, play
+  rendered.forEach(key => {
+    const card = childCards.get(key);
+    const before = previous.get(key);
+
+    if (!before) {
+      card.classList.add('card-entering');
+      card.addEventListener('animationend', () => card.classList.remove('card-entering'), { once: true });
+      return;
+    }
+
+    const after = card.getBoundingClientRect();
+    if (before.list !== card.closest('.child-list')) {
+      // Lists clip their overflow, so a card changing lists flies over the page as a copy
+      animateCardGhost(card, before.rect, after);
+      return;
+    }
+
+    const dx = before.rect.left - after.left;
+    const dy = before.rect.top - after.top;
+    if (dx === 0 && dy === 0) return;
+
+    card.style.transition = 'none';
+    card.style.transform = `translate(${dx}px, ${dy}px)`;
+    requestAnimationFrame(() => {
+      requestAnimationFrame(() => {
+        card.style.transition = `transform ${CARD_MOVE_MS}ms ease`;
+        card.style.transform = '';
+        setTimeout(() => {
+          card.style.transition = '';
+        }, CARD_MOVE_MS);
+      });
     });
-    
-    waitingList.appendChild(scrollContainer);
-    adjustChildListDisplay(waitingList, data.waiting.length);
-  } else {
-    waitingCount.textContent = '0';
-    waitingList.innerHTML = '<div class="empty-state">No children waiting</div>';
+  });
+}
+
+/**
+ * Bring one list's cards in line with the data, reusing existing cards
+ * @param {HTMLElement} listElement
+ * @param {Array} children
+ * @param {string} emptyText
+ * @param {Map} keyCounts - Shared between both lists so keys stay stable across a move
+ * @param {Set} rendered - Collects the keys of every card placed
+ * @param {Array<number>|null} estimates - Wait estimates in seconds, for the waiting list
+ */
+function renderChildList(listElement, children, emptyText, keyCounts, rendered, estimates) {
+  if (children.length === 0) {
+    listElement.innerHTML = `<div class="empty-state">${emptyText}</div>`;
+    return;
   }
-  
-  // Render inside list
-  if (data.inside && data.inside.length > 0) {
-    insideCount.textContent = data.inside.length;
-    insideList.innerHTML = '';
-    
-    // Create scroll container for auto-scroll
-    const scrollContainer = document.createElement('div');
+
+  // Keep the existing scroll container so its auto-scroll animation carries on
+  let scrollContainer = listElement.querySelector('.scroll-container');
+  if (!scrollContainer) {
+    listElement.innerHTML = '';
+    scrollContainer = document.createElement('div');
     scrollContainer.className = 'scroll-container';
-    
-    data.inside.forEach((child, index) => {
-      const card = createChildCard(child, index + 1);
-      scrollContainer.appendChild(card);
-    });
-    
-    insideList.appendChild(scrollContainer);
-    adjustChildListDisplay(insideList, data.inside.length);
-  } else {
-    insideCount.textContent = '0';
-    insideList.innerHTML = '<div class="empty-state">No children inside</div>';
+    listElement.appendChild(scrollContainer);
   }
+
+  children.forEach((child, index) => {
+    const key = getChildKey(child, keyCounts);
+    rendered.add(key);
+
+    let card = childCards.get(key);
+    if (card) {
+      updateChildCard(card, child, index + 1);
+    } else {
+      card = createChildCard(child, index + 1);
+      childCards.set(key, card);
+    }
+    setChildEstimate(card, estimates ? estimates[index] : null);
+    setChildCalled(card, listElement === waitingList && Boolean(child.calledAt));
+
+    const current = scrollContainer.children[index];
+    if (current !== card) {
+      scrollContainer.insertBefore(card, current || null);
+    }
+  });
+
+  // Whatever is left over has left the queue or moved to the other list
+  while (scrollContainer.children.length > children.length) {
+    scrollContainer.lastElementChild.remove();
+  }
+}
+
+/**
+ * Stable key for a child's card. Stream updates carry an id; polled data may
+ * not, in which case the name shown is used, numbered if it appears more
+ * than once.
+ * @param {Object} child
+ * @param {Map} keyCounts
+ * @returns {string}
+ */
+function getChildKey(child, keyCounts) {
+  if (child.id) {
+    return `id:${child.id}`;
+  }
+  const base = `name:${formatPublicName(child, getZoneNamePolicy(currentZoneId))}`;
+  const count = (keyCounts.get(base) || 0) + 1;
+  keyCounts.set(base, count);
+  return `${base}#${count}`;
+}
+
+/**
+ * Animate a fixed-position copy of a card, leaving the real card untouched
+ * in the layout. With a target rect the copy flies there and the real card
+ * appears when it lands; without one the copy fades out in place.
+ * @param {HTMLElement} card
+ * @param {DOMRect} from
+ * @param {DOMRect|null} to
+ */
+function animateCardGhost(card, from, to) {
+  const ghost = card.cloneNode(true);
+  ghost.classList.remove('card-entering');
+  ghost.classList.add('card-ghost');
+  ghost.style.left = `${from.left}px`;
+  ghost.style.top = `${from.top}px`;
+  ghost.style.width = `${from.width}px`;
+  ghost.style.height = `${from.height}px`;
+  document.body.appendChild(ghost);
+
+  const duration = to ? CARD_MOVE_MS : CARD_FADE_MS;
+  if (to) {
+    card.style.visibility = 'hidden';
+  }
+
+  requestAnimationFrame(() => {
+    requestAnimationFrame(() => {
+      ghost.style.transition = `transform ${duration}ms ease, opacity ${duration}ms ease`;
+      if (to) {
+        ghost.style.transform = `translate(${to.left - from.left}px, ${to.top - from.top}px)`;
+      } else {
+        ghost.style.transform = 'scale(0.9)';
+        ghost.style.opacity = '0';
+      }
+    });
+  });
+
+  setTimeout(() => {
+    ghost.remove();
+    card.style.visibility = '';
+  }, duration + 50);
 }
 
 /**
  * Adjust child list display based on number of children
  * Prioritizes readability for distance viewing
+ *
+ * Classes and the scroll duration are only touched when they change:
+ * resetting them would restart the auto-scroll from the top on every update.
  */
 function adjustChildListDisplay(listElement, childCount) {
-  // Remove existing classes
-  listElement.classList.remove('many-children', 'extra-many-children', 'auto-scroll', 'compact-mode');
-  
+  let modeClasses = [];
+  let scrollDuration = null;
+
   if (childCount > 12) {
     // Extreme case - use compact horizontal layout but keep text readable
-    listElement.classList.add('compact-mode', 'auto-scroll');
-    
+    modeClasses = ['compact-mode', 'auto-scroll'];
+
     // Slower scroll for better readability
-    const scrollDuration = Math.max(15, childCount * 3); // Minimum 15s, 3s per child
-    const scrollContainer = listElement.querySelector('.scroll-container');
-    if (scrollContainer) {
-      scrollContainer.style.animationDuration = scrollDuration + 's';
-    }
+    scrollDuration = Math.max(15, childCount * 3); // Minimum 15s, 3s per child
   } else if (childCount > 8) {
     // Many children - reduce spacing but keep large text
-    listElement.classList.add('extra-many-children', 'auto-scroll');
-    
+    modeClasses = ['extra-many-children', 'auto-scroll'];
+
     // Slower scroll for distance viewing
-    const scrollDuration = Math.max(12, childCount * 2.5); // Minimum 12s, 2.5s per child
-    const scrollContainer = listElement.querySelector('.scroll-container');
-    if (scrollContainer) {
-      scrollContainer.style.animationDuration = scrollDuration + 's';
-    }
+    scrollDuration = Math.max(12, childCount * 2.5); // Minimum 12s, 2.5s per child
   } else if (childCount > 5) {
     // Some children - slight reduction but maintain readability
-    listElement.classList.add('many-children');
+    modeClasses = ['many-children'];
   }
   // else: normal size for 5 or fewer children (optimal for distance viewing)
+
+  ['many-children', 'extra-many-children', 'auto-scroll', 'compact-mode'].forEach(cls => {
+    const wanted = modeClasses.includes(cls);
+    if (listElement.classList.contains(cls) !== wanted) {
+      listElement.classList.toggle(cls, wanted);
+    }
+  });
+
+  const scrollContainer = listElement.querySelector('.scroll-container');
+  if (scrollContainer && scrollDuration) {
+    const value = scrollDuration + 's';
+    if (scrollContainer.style.animationDuration !== value) {
+      scrollContainer.style.animationDuration = value;
+    }
+  }
 }
 
 /**
@@ -271,7 +819,7 @@ function createChildCard(child, position) {
   
   const nameDiv = document.createElement('div');
   nameDiv.className = 'child-name';
-  nameDiv.textContent = child.name || 'Unknown Child';
+  nameDiv.textContent = formatPublicName(child, getZoneNamePolicy(currentZoneId));
   
   card.appendChild(numberDiv);
   card.appendChild(nameDiv);
@@ -279,6 +827,224 @@ function createChildCard(child, position) {
   return card;
 }
 
+/**
+ * Update an existing card in place, pulsing the number when it changes
+ * @param {HTMLElement} card
+ * @param {Object} child
+ * @param {number} position
+ */
+function updateChildCard(card, child, position) {
+  const numberDiv = card.querySelector('.child-number');
+  const nameDiv = card.querySelector('.child-name');
+
+  if (numberDiv.textContent !== String(position)) {
+    numberDiv.textContent = position;
+    numberDiv.classList.remove('position-changed');
+    void numberDiv.offsetWidth; // restart the pulse if one is still running
+    numberDiv.classList.add('position-changed');
+  }
+
+  const name = formatPublicName(child, getZoneNamePolicy(currentZoneId));
+  if (nameDiv.textContent !== name) {
+    nameDiv.textContent = name;
+  }
+}
+
+/**
+ * Mark a waiting child whom the operator has called to the entrance
+ * @param {HTMLElement} card
+ * @param {boolean} called
+ */
+function setChildCalled(card, called) {
+  let badge = card.querySelector('.child-called');
+  card.classList.toggle('called', called);
+
+  if (!called) {
+    if (badge) badge.remove();
+    return;
+  }
+  if (!badge) {
+    badge = document.createElement('div');
+    badge.className = 'child-called';
+    badge.textContent = '📣 Called';
+    card.appendChild(badge);
+  }
+}
+
+/**
+ * Show, update or remove the wait estimate on a card
+ * @param {HTMLElement} card
+ * @param {number|null} seconds
+ */
+function setChildEstimate(card, seconds) {
+  let etaDiv = card.querySelector('.child-eta');
+
+  if (seconds === null || seconds === undefined) {
+    if (etaDiv) etaDiv.remove();
+    return;
+  }
+
+  if (!etaDiv) {
+    etaDiv = document.createElement('div');
+    etaDiv.className = 'child-eta';
+    card.appendChild(etaDiv);
+  }
+
+  const label = formatWaitEstimate(seconds);
+  if (etaDiv.textContent !== label) {
+    etaDiv.textContent = label;
+  }
+}
+
+/**
+ * Switch the page to the all-zones wall display
+ * @param {number} rotateSeconds - Show one zone at a time for this long; 0 shows all at once
+ */
+function startWallMode(rotateSeconds) {
+  document.body.classList.add('wall-mode');
+  wallZones = getZones();
+
+  wallGrid.innerHTML = '';
+  wallZones.forEach(zone => {
+    const tile = createWallTile(zone);
+    const cached = loadQueueSnapshot(zone.id);
+    if (cached) {
+      renderWallTile(tile, cached.data);
+      tile.dataset.savedAt = cached.savedAt;
+      lastGoodAt = Math.max(lastGoodAt || 0, cached.savedAt);
+    }
+    wallGrid.appendChild(tile);
+  });
+
+  if (rotateSeconds > 0) {
+    wallGrid.classList.add('rotating');
+    showWallTile(0);
+    wallRotateTimerId = setInterval(
+      () => showWallTile(wallRotateIndex + 1),
+      Math.max(WALL_MIN_ROTATE_SECONDS, rotateSeconds) * 1000
+    );
+  }
+
+  // One loop for every zone; a stream per zone would be five open connections
+  setConnectionState('polling');
+  fetchWallData();
+  startAutoRefresh();
+}
+
+/**
+ * Fetch every zone's queue and update the wall
+ */
+async function fetchWallData() {
+  const results = await Promise.allSettled(wallZones.map(zone => fetchZoneQueue(zone.id)));
+
+  let failures = 0;
+  results.forEach((result, index) => {
+    const tile = wallGrid.children[index];
+    if (result.status === 'fulfilled') {
+      renderWallTile(tile, result.value);
+      tile.dataset.savedAt = saveQueueSnapshot(wallZones[index].id, result.value);
+    } else {
+      failures += 1;
+      console.error(`Error fetching queue data for ${wallZones[index].id}:`, result.reason);
+      renderWallTileError(tile);
+    }
+  });
+
+  if (failures === wallZones.length) {
+    recordQueueFailure(results[0].reason);
+  } else {
+    recordQueueSuccess(Date.now());
+  }
+}
+
+/**
+ * Empty tile for a zone on the wall
+ * @param {Object} zone - From the zone catalog
+ * @returns {HTMLElement}
+ */
+function createWallTile(zone) {
+  const tile = document.createElement('div');
+  tile.className = 'wall-tile';
+  tile.dataset.zone = zone.id;
+  tile.innerHTML = `
+    <h2></h2>
+    <div class="wall-counts">
+      <div class="wall-count waiting"><span class="value" data-count="waiting">–</span><span class="label">⏳ Waiting</span></div>
+      <div class="wall-count inside"><span class="value" data-count="inside">–</span><span class="label">✅ Inside</span></div>
+    </div>
+    <ol class="wall-next"></ol>
+    <div class="wall-more" data-note></div>
+  `;
+  tile.querySelector('h2').textContent = zone.icon ? `${zone.icon} ${zone.name}` : zone.name;
+  tile.style.borderColor = zone.color;
+  return tile;
+}
+
+/**
+ * Fill a wall tile with a zone's counts and the first few waiting names
+ * @param {HTMLElement} tile
+ * @param {{waiting: Array, inside: Array}} data
+ */
+function renderWallTile(tile, data) {
+  const waiting = data.waiting || [];
+  const inside = data.inside || [];
+  tile.querySelector('[data-count="waiting"]').textContent = waiting.length;
+  tile.querySelector('[data-count="inside"]').textContent = inside.length;
+
+  const policy = getZoneNamePolicy(tile.dataset.zone);
+  const list = tile.querySelector('.wall-next');
+  list.innerHTML = '';
+  waiting.slice(0, WALL_NAMES_PER_ZONE).forEach((child, index) => {
+    const item = document.createElement('li');
+    const position = document.createElement('span');
+    position.className = 'position';
+    position.textContent = index + 1;
+    item.appendChild(position);
+    item.appendChild(document.createTextNode(formatPublicName(child, policy)));
+    if (child.calledAt) {
+      item.classList.add('called');
+      item.appendChild(document.createTextNode(' 📣'));
+    }
+    list.appendChild(item);
+  });
+
+  const zone = getZone(tile.dataset.zone);
+  const more = tile.querySelector('[data-note]');
+  more.className = waiting.length === 0 ? 'wall-empty' : 'wall-more';
+  if (!isZoneOpen(zone)) {
+    more.textContent = `Closed · opens at ${zone.openingHours.open}`;
+  } else if (waiting.length === 0) {
+    more.textContent = 'No children waiting';
+  } else if (waiting.length > WALL_NAMES_PER_ZONE) {
+    more.textContent = `+ ${waiting.length - WALL_NAMES_PER_ZONE} more`;
+  } else {
+    more.textContent = '';
+  }
+}
+
+/**
+ * Show that a zone's tile could not be refreshed, keeping its last numbers
+ * @param {HTMLElement} tile
+ */
+function renderWallTileError(tile) {
+  const more = tile.querySelector('[data-note]');
+  more.className = 'wall-error';
+  more.textContent = tile.dataset.savedAt
+    ? `⚠ Last updated ${formatSnapshotAge(Number(tile.dataset.savedAt))}`
+    : 'Unable to load data';
+}
+
+/**
+ * Rotating wall: show the tile at an index (wrapping round)
+ * @param {number} index
+ */
+function showWallTile(index) {
+  wallRotateIndex = index % wallZones.length;
+  Array.from(wallGrid.children).forEach((tile, i) => {
+    tile.classList.toggle('active', i === wallRotateIndex);
+  });
+}
+
 /**
  * Show loading state
  */
@@ -299,10 +1065,10 @@ function renderEmptyState() {
 
 /**
  * Update last updated time
+ * @param {number} [fetchedAt] - When the data was fetched; defaults to now
  */
-function updateLastUpdatedTime() {
-  const now = new Date();
-  const timeString = now.toLocaleTimeString();
+function updateLastUpdatedTime(fetchedAt = Date.now()) {
+  const timeString = new Date(fetchedAt).toLocaleTimeString();
   lastUpdated.textContent = `Last updated: ${timeString}`;
 }
 
@@ -324,4 +1090,8 @@ function hideError() {
 // Cleanup on page unload
 window.addEventListener('beforeunload', () => {
   stopAutoRefresh();
+  stopQueueStream();
+  clearInterval(rideDurationTimerId);
+  clearInterval(wallRotateTimerId);
+  clearInterval(staleTimerId);
 });
@@ -0,0 +1,312 @@
+/*
+ * queue-announcer.js – Chime and spoken callouts on the queue display
+ *
+ * When a child reaches the top of the waiting list, is called to the
+ * entrance by the operator (calledAt set or changed, see queue-operator.js),
+ * or is let inside, the display plays a short chime and reads out their name
+ * and the zone with the browser's speech synthesis:
+ *
+ *   "Diya, your turn is next at Zone 1"
+ *   "Diya, please come to the Zone 1 entrance now"
+ *   "Diya, please come in to Zone 1"
+ *
+ * public-queue.js hands every queue update to observeQueueForAnnouncements(),
+ * which compares it with the previous one. The first update for a zone only
+ * sets the baseline, so opening the page or switching zones is silent, and
+ * each child is announced at most once per callout (calling a child again
+ * sets a new calledAt, and is announced again).
+ *
+ * Names are read out under the zone's privacy policy (see queue-privacy.js).
+ *
+ * Settings are kept per zone in localStorage, since a screen shows one zone
+ * and zones differ in how loud they are and who they serve:
+ *
+ *   { enabled, volume (0–1), quietStart 'HH:MM', quietEnd 'HH:MM', language }
+ *
+ * Quiet hours may wrap past midnight (e.g. 21:00–09:00). Browsers only allow
+ * sound after someone has interacted with the page, so the display asks for
+ * one tap when it is set up (see unlockAnnouncerAudio).
+ */
+
+const ANNOUNCER_SETTINGS_KEY = 'queue_announcer_settings';
+
+const ANNOUNCER_DEFAULT_SETTINGS = {
+  enabled: true,
+  volume: 0.8,
+  quietStart: '',
+  quietEnd: '',
+  language: 'en'
+};
+
+// Callout wording per language; {name} and {zone} are filled in
+const ANNOUNCER_LANGUAGES = {
+  en: {
+    label: 'English',
+    speechLang: 'en-IN',
+    next: '{name}, your turn is next at {zone}',
+    called: '{name}, please come to the {zone} entrance now',
+    inside: '{name}, please come in to {zone}'
+  },
+  kn: {
+    label: 'ಕನ್ನಡ',
+    speechLang: 'kn-IN',
+    next: '{name}, {zone} ನಲ್ಲಿ ಮುಂದಿನ ಸರದಿ ನಿಮ್ಮದು',
+    called: '{name}, ದಯವಿಟ್ಟು ಈಗ {zone} ಪ್ರವೇಶದ್ವಾರಕ್ಕೆ ಬನ್ನಿ',
+    inside: '{name}, ದಯವಿಟ್ಟು {zone} ಒಳಗೆ ಬನ್ನಿ'
+  },
+  hi: {
+    label: 'हिन्दी',
+    speechLang: 'hi-IN',
+    next: '{name}, {zone} में अगली बारी आपकी है',
+    called: '{name}, कृपया अभी {zone} के प्रवेश द्वार पर आइए',
+    inside: '{name}, कृपया {zone} में आइए'
+  },
+  ta: {
+    label: 'தமிழ்',
+    speechLang: 'ta-IN',
+    next: '{name}, {zone}-இல் அடுத்தது உங்கள் முறை',
+    called: '{name}, தயவுசெய்து இப்போது {zone} நுழைவாயிலுக்கு வாருங்கள்',
+    inside: '{name}, தயவுசெய்து {zone}-க்குள் வாருங்கள்'
+  }
+};
+
+// Give up on an utterance that never reports finishing (some TVs drop the event)
+const ANNOUNCER_SPEECH_TIMEOUT_MS = 10000;
+
+let announcerAudioContext = null;
+let announcerBaseline = null; // { zoneId, waiting: Set, inside: Set, called: Map(key -> calledAt), first }
+let announcedNext = new Set();
+let announcedInside = new Set();
+let announcementChain = Promise.resolve();
+
+/**
+ * All saved settings, by zone
+ * @returns {Object}
+ */
+function readAnnouncerSettingsStore() {
+  try {
+    return JSON.parse(localStorage.getItem(ANNOUNCER_SETTINGS_KEY)) || {};
+  } catch (error) {
+    console.warn('Could not read announcer settings:', error);
+    return {};
+  }
+}
+
+/**
+ * Announcement settings for a zone, with defaults filled in
+ * @param {string} zoneId
+ * @returns {Object}
+ */
+function loadAnnouncerSettings(zoneId) {
+  return { ...ANNOUNCER_DEFAULT_SETTINGS, ...(readAnnouncerSettingsStore()[zoneId] || {}) };
+}
+
+/**
+ * Save announcement settings for a zone
+ * @param {string} zoneId
+ * @param {Object} settings
+ */
+function saveAnnouncerSettings(zoneId, settings) {
+  const store = readAnnouncerSettingsStore();
+  store[zoneId] = { ...ANNOUNCER_DEFAULT_SETTINGS, ...settings };
+  localStorage.setItem(ANNOUNCER_SETTINGS_KEY, JSON.stringify(store));
+}
+
+/**
+ * Whether announcements are muted right now
+ * @param {Object} settings
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isInQuietHours(settings, now = new Date()) {
+  if (!settings.quietStart || !settings.quietEnd || settings.quietStart === settings.quietEnd) {
+    return false;
+  }
+  const toMinutes = value => {
+    const [hours, minutes] = value.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+  const current = now.getHours() * 60 + now.getMinutes();
+  const start = toMinutes(settings.quietStart);
+  const end = toMinutes(settings.quietEnd);
+
+  // A window like 21:00–09:00 wraps past midnight
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+}
+
+/**
+ * Allow sound on this page. Must be called from a user gesture (click, key).
+ */
+function unlockAnnouncerAudio() {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!announcerAudioContext && AudioContextClass) {
+    announcerAudioContext = new AudioContextClass();
+  }
+  if (announcerAudioContext && announcerAudioContext.state === 'suspended') {
+    announcerAudioContext.resume();
+  }
+  if (window.speechSynthesis) {
+    // An empty utterance from the gesture unlocks speech in Chrome and Safari
+    window.speechSynthesis.speak(new SpeechSynthesisUtterance(''));
+  }
+}
+
+/**
+ * Whether the browser will currently let us make a sound
+ * @returns {boolean}
+ */
+function isAnnouncerAudioUnlocked() {
+  return Boolean(announcerAudioContext) && announcerAudioContext.state === 'running';
+}
+
+/**
+ * Two-tone chime
+ * @param {number} volume - 0 to 1
+ * @returns {Promise<void>} - Resolves when the chime has finished
+ */
+function playChime(volume) {
+  if (!isAnnouncerAudioUnlocked()) {
+    return Promise.resolve();
+  }
+
+  const ctx = announcerAudioContext;
+  const start = ctx.currentTime + 0.05;
+  [[880, 0], [659.25, 0.35]].forEach(([frequency, offset]) => {
+    const oscillator = ctx.createOscillator();
+    const gain = ctx.createGain();
+    oscillator.type = 'sine';
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.0001, start + offset);
+    gain.gain.exponentialRampToValueAtTime(Math.max(0.0001, volume * 0.5), start + offset + 0.02);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + offset + 0.8);
+    oscillator.connect(gain).connect(ctx.destination);
+    oscillator.start(start + offset);
+    oscillator.stop(start + offset + 0.85);
+  });
+
+  return new Promise(resolve => setTimeout(resolve, 1300));
+}
+
+/**
+ * Read a callout aloud
+ * @param {string} text
+ * @param {Object} settings
+ * @returns {Promise<void>} - Resolves when speaking has finished (or failed)
+ */
+function speakCallout(text, settings) {
+  if (!window.speechSynthesis) {
+    return Promise.resolve();
+  }
+
+  const language = ANNOUNCER_LANGUAGES[settings.language] || ANNOUNCER_LANGUAGES.en;
+  const utterance = new SpeechSynthesisUtterance(text);
+  utterance.lang = language.speechLang;
+  utterance.volume = settings.volume;
+  utterance.rate = 0.9;
+
+  const prefix = language.speechLang.slice(0, 2).toLowerCase();
+  const voice = window.speechSynthesis.getVoices().find(v => v.lang.toLowerCase().startsWith(prefix));
+  if (voice) {
+    utterance.voice = voice;
+  }
+
+  return new Promise(resolve => {
+    const timeoutId = setTimeout(resolve, ANNOUNCER_SPEECH_TIMEOUT_MS);
+    const done = () => {
+      clearTimeout(timeoutId);
+      resolve();
+    };
+    utterance.onend = done;
+    utterance.onerror = done;
+    window.speechSynthesis.speak(utterance);
+  });
+}
+
+/**
+ * Queue a chime and callout behind any that are still playing
+ * @param {string} kind - 'next', 'called' or 'inside'
+ * @param {string} childName
+ * @param {string} zoneName
+ * @param {Object} settings
+ */
+function announce(kind, childName, zoneName, settings) {
+  const language = ANNOUNCER_LANGUAGES[settings.language] || ANNOUNCER_LANGUAGES.en;
+  if (!childName) return; // e.g. no token yet under the token policy
+  const text = language[kind].replace('{name}', childName).replace('{zone}', zoneName);
+
+  announcementChain = announcementChain
+    .then(() => playChime(settings.volume))
+    .then(() => speakCallout(text, settings))
+    .catch(error => console.warn('Announcement failed:', error));
+}
+
+/**
+ * Forget the previous update, so the next one only sets a new baseline.
+ * Used when the display comes back after an outage.
+ */
+function resetQueueAnnouncements() {
+  announcerBaseline = null;
+}
+
+/**
+ * Compare a queue update with the previous one and announce whoever moved
+ * to the front, was called to the entrance or was let inside
+ * @param {string} zoneId
+ * @param {string} zoneName
+ * @param {{waiting: Array, inside: Array}} data
+ */
+function observeQueueForAnnouncements(zoneId, zoneName, data) {
+  const keyOf = child => child.id || formatPublicName(child, getZoneNamePolicy(zoneId));
+  const waiting = data.waiting || [];
+  const inside = data.inside || [];
+  const previous = announcerBaseline && announcerBaseline.zoneId === zoneId ? announcerBaseline : null;
+
+  announcerBaseline = {
+    zoneId,
+    waiting: new Set(waiting.map(keyOf)),
+    inside: new Set(inside.map(keyOf)),
+    called: new Map(waiting.filter(child => child.calledAt).map(child => [keyOf(child), child.calledAt])),
+    first: waiting.length > 0 ? keyOf(waiting[0]) : null
+  };
+
+  if (!previous) {
+    // First look at this zone: remember who is already there, say nothing
+    announcedNext = new Set(announcerBaseline.first ? [announcerBaseline.first] : []);
+    announcedInside = new Set(announcerBaseline.inside);
+    return;
+  }
+
+  // Forget children who have left so the sets don't grow all day
+  announcedNext.forEach(key => { if (!announcerBaseline.waiting.has(key)) announcedNext.delete(key); });
+  announcedInside.forEach(key => { if (!announcerBaseline.inside.has(key)) announcedInside.delete(key); });
+
+  const settings = loadAnnouncerSettings(zoneId);
+  const muted = !settings.enabled || isInQuietHours(settings);
+  const policy = getZoneNamePolicy(zoneId);
+  const nameOf = child => formatSpokenName(child, policy);
+
+  inside.forEach(child => {
+    const key = keyOf(child);
+    if (previous.waiting.has(key) && !previous.inside.has(key) && !announcedInside.has(key)) {
+      announcedInside.add(key);
+      if (!muted) announce('inside', nameOf(child), zoneName, settings);
+    }
+  });
+
+  waiting.forEach(child => {
+    const key = keyOf(child);
+    if (child.calledAt && previous.called.get(key) !== child.calledAt) {
+      // Being called says more than "next", so don't also announce that
+      announcedNext.add(key);
+      if (!muted) announce('called', nameOf(child), zoneName, settings);
+    }
+  });
+
+  const first = waiting[0];
+  if (first && !announcedNext.has(keyOf(first))) {
+    announcedNext.add(keyOf(first));
+    if (!muted) announce('next', nameOf(first), zoneName, settings);
+  }
+}
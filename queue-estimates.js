@@ -0,0 +1,120 @@
+/*
+ * queue-estimates.js – Estimated wait for each child in a zone's queue
+ *
+ * A zone runs up to `capacity` children at once. Whoever is waiting at
+ * position p gets in when enough of the children ahead of them (and those
+ * already inside) have finished a ride:
+ *
+ *   free slots now   = capacity - insideCount
+ *   rounds to wait   = ceil((p - free slots) / capacity)
+ *   estimated wait   = (rounds - 0.5) × average ride duration
+ *
+ * The half ride accounts for the children inside being, on average, part-way
+ * through. The average ride duration comes from the same metrics endpoint
+ * analytics.js uses, over the last RIDE_DURATION_LOOKBACK_DAYS:
+ *
+ *   GET /api/v1/metrics/average-ride-duration?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD
+ *   { rideDurations: [{ zoneId, zoneName, averageDurationSeconds, sampleSize }] }
+ *
+ * The queue snapshot carries the zone's capacity; the defaults below are used
+ * when either number is missing so the display always shows something.
+ */
+
+const DEFAULT_ZONE_CAPACITY = 4;
+const DEFAULT_RIDE_DURATION_SECONDS = 5 * 60;
+
+const RIDE_DURATION_LOOKBACK_DAYS = 7;
+
+// The average barely moves during a day, so it is refetched at most this often
+const RIDE_DURATION_CACHE_MS = 15 * 60 * 1000;
+
+// zoneId -> { seconds, fetchedAt }
+const rideDurationCache = {};
+
+/**
+ * Average ride duration for a zone over the last few days, cached
+ * @param {string} url - The average-ride-duration endpoint
+ * @param {{id: string, name: (string|null)}} zone
+ * @returns {Promise<number|null>} - Seconds, or null if there is no data
+ */
+async function loadAverageRideDuration(url, zone) {
+  const cached = rideDurationCache[zone.id];
+  if (cached && Date.now() - cached.fetchedAt < RIDE_DURATION_CACHE_MS) {
+    return cached.seconds;
+  }
+
+  const end = new Date();
+  const start = new Date(end.getTime() - RIDE_DURATION_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  const params = new URLSearchParams({
+    startDate: start.toISOString().slice(0, 10),
+    endDate: end.toISOString().slice(0, 10)
+  });
+
+  try {
+    const response = await authFetch(`${url}?${params.toString()}`);
+    if (!response.ok) {
+      throw new Error(`Average Ride Duration API returned ${response.status}`);
+    }
+    const data = await response.json();
+    // Older responses only name the zone
+    const match = (data.rideDurations || []).find(item =>
+      item.zoneId === zone.id || (zone.name && item.zoneName === zone.name)
+    );
+    const seconds = match && match.averageDurationSeconds > 0 ? match.averageDurationSeconds : null;
+    rideDurationCache[zone.id] = { seconds, fetchedAt: Date.now() };
+    return seconds;
+  } catch (error) {
+    // Keep using the last value we had; estimates fall back to the default otherwise
+    console.warn('Could not load average ride duration:', error);
+    return cached ? cached.seconds : null;
+  }
+}
+
+/**
+ * Estimated seconds until the child at a waiting position gets in
+ * @param {number} position - 1-based position in the waiting list
+ * @param {number} insideCount
+ * @param {number} [capacity]
+ * @param {number} [averageRideSeconds]
+ * @returns {number}
+ */
+function estimateWaitSeconds(position, insideCount, capacity, averageRideSeconds) {
+  const slots = capacity > 0 ? capacity : DEFAULT_ZONE_CAPACITY;
+  const rideSeconds = averageRideSeconds > 0 ? averageRideSeconds : DEFAULT_RIDE_DURATION_SECONDS;
+  const freeSlots = Math.max(0, slots - insideCount);
+
+  if (position <= freeSlots) {
+    return 0;
+  }
+
+  const rounds = Math.ceil((position - freeSlots) / slots);
+  return Math.round((rounds - 0.5) * rideSeconds);
+}
+
+/**
+ * Estimates for everyone waiting, in queue order
+ * @param {{waiting: Array, inside: Array, capacity: (number|undefined)}} queue
+ * @param {number|null} averageRideSeconds
+ * @returns {Array<number>}
+ */
+function estimateQueueWaits(queue, averageRideSeconds) {
+  const insideCount = (queue.inside || []).length;
+  return (queue.waiting || []).map((child, index) =>
+    estimateWaitSeconds(index + 1, insideCount, queue.capacity, averageRideSeconds)
+  );
+}
+
+/**
+ * Short label for a card, rounded to what a waiting family cares about
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatWaitEstimate(seconds) {
+  if (seconds <= 0) {
+    return 'Next up';
+  }
+  if (seconds < 60) {
+    return '< 1 min';
+  }
+  return `~${Math.round(seconds / 60)} min`;
+}
@@ -0,0 +1,562 @@
+/**
+ * queue-operator.js – Staff console for running a zone's queue
+ *
+ * Shows the same waiting/inside lists as the public display, with legal
+ * names, kept current by the staff version of its stream (see
+ * queue-stream.js), with the actions operators need:
+ *
+ *   call     – call a waiting child to the entrance (sets calledAt)
+ *   admit    – move a waiting child inside
+ *   no-show  – drop a waiting child who didn't come; counts as a missed ride
+ *   release  – a child inside has finished their ride
+ *   reorder  – move a waiting child to another position
+ *
+ * API: GET  /api/v1/queue?zoneId={zoneId}, GET /api/v1/queue/stream?zoneId={zoneId}
+ *        (staff only, so unlike /api/v1/public/queue they include legal names)
+ *      POST /api/v1/queue/{action} { zoneId, childId, index? }
+ *        -> { success, actionId, version }
+ *      POST /api/v1/queue/undo { zoneId, actionId } -> { success, version }
+ *
+ * Actions are optimistic: each one is shown straight away as a pending change
+ * on top of the last server state and dropped again if the request fails. A
+ * confirmed change stays pending until the stream delivers the version the
+ * action produced, so the lists don't flicker back in between. The last
+ * action can be undone for UNDO_WINDOW_MS.
+ */
+
+// API Base URLs - update these to match your backend
+const OPERATOR_API_URL = 'https://www.littleengineersplayground.com/api/v1/queue';
+
+// Polling interval while the stream is down (in milliseconds)
+const REFRESH_INTERVAL = 5000;
+
+const UNDO_WINDOW_MS = 8000;
+
+const ACTION_LABELS = {
+  call: 'Called',
+  admit: 'Admitted',
+  'no-show': 'Marked as no-show:',
+  release: 'Released',
+  reorder: 'Moved'
+};
+
+const CONNECTION_STATE_LABELS = {
+  connecting: '● Connecting…',
+  live: '● Live',
+  reconnecting: '● Reconnecting – updating every 5s',
+  polling: '● Updating every 5s'
+};
+
+// State
+let currentZoneId = null;
+let serverState = null;
+let pendingChanges = []; // [{ ops, inFlight, awaitVersion }]
+let queueStream = null;
+let refreshIntervalId = null;
+let lastAction = null; // { actionId, inverseOps }
+let undoTimerId = null;
+
+// DOM Elements
+const zoneSelect = document.getElementById('zoneSelect');
+const callNextBtn = document.getElementById('callNext');
+const waitingList = document.getElementById('waitingList');
+const insideList = document.getElementById('insideList');
+const waitingCount = document.getElementById('waitingCount');
+const insideCount = document.getElementById('insideCount');
+const statusMessage = document.getElementById('statusMessage');
+const connectionStatus = document.getElementById('connectionStatus');
+const undoToast = document.getElementById('undoToast');
+const undoMessage = document.getElementById('undoMessage');
+const undoBtn = document.getElementById('undoBtn');
+
+// Event Listeners
+document.addEventListener('DOMContentLoaded', () => {
+  // Zones from the catalog (see zones.js); the saved list first, then the latest
+  populateZoneSelect(zoneSelect);
+  loadZoneCatalog().then(() => populateZoneSelect(zoneSelect));
+
+  // Remember the zone this device operates
+  const savedZone = localStorage.getItem('operator_zone');
+  if (savedZone && zoneSelect.querySelector(`option[value="${savedZone}"]`)) {
+    zoneSelect.value = savedZone;
+  }
+  zoneSelect.addEventListener('change', () => {
+    localStorage.setItem('operator_zone', zoneSelect.value);
+    loadZone();
+  });
+
+  callNextBtn.addEventListener('click', handleCallNext);
+  waitingList.addEventListener('click', handleListClick);
+  insideList.addEventListener('click', handleListClick);
+  undoBtn.addEventListener('click', handleUndo);
+
+  loadZone();
+});
+
+/**
+ * Start following the selected zone
+ */
+function loadZone() {
+  stopUpdates();
+  currentZoneId = zoneSelect.value;
+  serverState = null;
+  pendingChanges = [];
+  hideUndo();
+  hideStatus();
+  render();
+
+  fetchQueue();
+
+  if (!isQueueStreamSupported()) {
+    setConnectionState('polling');
+    startPolling();
+    return;
+  }
+
+  queueStream = openQueueStream(`${OPERATOR_API_URL}/stream?zoneId=${encodeURIComponent(currentZoneId)}`, {
+    onSnapshot(data) {
+      setServerState(data);
+    },
+
+    onDiff(diff) {
+      const next = applyQueueDiff(serverState, diff);
+      if (!next) {
+        // We missed an update; reconnect for a fresh snapshot
+        queueStream.restart();
+        return;
+      }
+      setServerState(next);
+    },
+
+    onStateChange(state) {
+      if (state === 'closed') return;
+      setConnectionState(state);
+      // Poll until the stream is live, as well as while it is down
+      if (state === 'live') {
+        stopPolling();
+      } else {
+        startPolling();
+      }
+    }
+  });
+}
+
+/**
+ * Stop the stream and polling for the current zone
+ */
+function stopUpdates() {
+  stopPolling();
+  if (queueStream) {
+    queueStream.close();
+    queueStream = null;
+  }
+}
+
+/**
+ * Poll while the stream is down
+ */
+function startPolling() {
+  if (refreshIntervalId) return;
+  refreshIntervalId = setInterval(fetchQueue, REFRESH_INTERVAL);
+}
+
+/**
+ * Stop polling
+ */
+function stopPolling() {
+  if (refreshIntervalId) {
+    clearInterval(refreshIntervalId);
+    refreshIntervalId = null;
+  }
+}
+
+/**
+ * Fetch the zone's queue snapshot
+ */
+async function fetchQueue() {
+  const zoneId = currentZoneId;
+  try {
+    const response = await authFetch(`${OPERATOR_API_URL}?zoneId=${encodeURIComponent(zoneId)}`);
+    if (!response.ok) {
+      throw new Error(`API returned ${response.status}: ${response.statusText}`);
+    }
+    const data = await response.json();
+    if (zoneId === currentZoneId) {
+      setServerState(data);
+    }
+  } catch (error) {
+    console.error('Error fetching queue data:', error);
+    showStatus('error', `Failed to fetch queue data: ${error.message}`);
+  }
+}
+
+/**
+ * Take a new server state and drop the pending changes it already contains
+ * @param {Object} data
+ */
+function setServerState(data) {
+  // A polled snapshot may be older than the streamed state we already have
+  if (serverState && typeof data.version === 'number' && data.version < serverState.version) {
+    return;
+  }
+  serverState = data;
+  pendingChanges = pendingChanges.filter(change =>
+    change.inFlight || (change.awaitVersion && change.awaitVersion > data.version)
+  );
+  render();
+}
+
+/**
+ * Apply local ops to a queue. Ops the server has already applied are no-ops.
+ * @param {Object} queue
+ * @param {Array} ops - In the diff format of queue-stream.js
+ * @returns {Object}
+ */
+function applyLocalOps(queue, ops) {
+  return ops.reduce((state, op) => {
+    const next = applyQueueDiff(state, { baseVersion: state.version, version: state.version, ops: [op] });
+    return next || state;
+  }, queue);
+}
+
+/**
+ * The server state with pending changes applied, as shown on screen
+ * @returns {Object|null}
+ */
+function getDisplayState() {
+  if (!serverState) return null;
+  return pendingChanges.reduce((state, change) => applyLocalOps(state, change.ops), serverState);
+}
+
+/**
+ * Work out what an action changes and how to reverse it
+ * @param {string} action
+ * @param {string} childId
+ * @param {number} [index] - New position, for reorder
+ * @returns {{child: Object, ops: Array, inverseOps: Array}|null}
+ */
+function planAction(action, childId, index) {
+  const state = getDisplayState();
+  if (!state) return null;
+
+  // childId comes from a data attribute, so it is always a string
+  const waitingIndex = state.waiting.findIndex(child => String(child.id) === childId);
+  const insideIndex = state.inside.findIndex(child => String(child.id) === childId);
+  const child = waitingIndex !== -1 ? state.waiting[waitingIndex] : state.inside[insideIndex];
+  if (!child) return null;
+  const id = child.id; // as the server sent it, for the ops and the request
+
+  switch (action) {
+    case 'call':
+      return {
+        child,
+        ops: [{ op: 'update', list: 'waiting', child: { ...child, calledAt: new Date().toISOString() } }],
+        inverseOps: [{ op: 'update', list: 'waiting', child }]
+      };
+    case 'admit':
+      return {
+        child,
+        ops: [{ op: 'move', from: 'waiting', to: 'inside', id, index: state.inside.length }],
+        inverseOps: [{ op: 'move', from: 'inside', to: 'waiting', id, index: waitingIndex }]
+      };
+    case 'no-show':
+      return {
+        child,
+        ops: [{ op: 'remove', list: 'waiting', id }],
+        inverseOps: [{ op: 'add', list: 'waiting', child, index: waitingIndex }]
+      };
+    case 'release':
+      return {
+        child,
+        ops: [{ op: 'remove', list: 'inside', id }],
+        inverseOps: [{ op: 'add', list: 'inside', child, index: insideIndex }]
+      };
+    case 'reorder':
+      return {
+        child,
+        ops: [{ op: 'move', from: 'waiting', to: 'waiting', id, index }],
+        inverseOps: [{ op: 'move', from: 'waiting', to: 'waiting', id, index: waitingIndex }]
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * POST an operator request
+ * @param {string} path - e.g. 'admit' or 'undo'
+ * @param {Object} body
+ * @returns {Promise<Object>}
+ */
+async function postOperatorRequest(path, body) {
+  const response = await authFetch(`${OPERATOR_API_URL}/${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || !result.success) {
+    throw new Error(result.message || `Queue API returned ${response.status}`);
+  }
+  return result;
+}
+
+/**
+ * Show a change now and send it to the server
+ * @param {Array} ops - What to show while the request is in flight
+ * @param {string} path
+ * @param {Object} body
+ * @returns {Promise<Object|null>} - The server's reply, or null if it failed
+ */
+async function sendChange(ops, path, body) {
+  const change = { ops, inFlight: true, awaitVersion: null };
+  pendingChanges.push(change);
+  render();
+
+  try {
+    const result = await postOperatorRequest(path, { zoneId: currentZoneId, ...body });
+    change.inFlight = false;
+    if (typeof result.version === 'number' && serverState && serverState.version < result.version) {
+      // Keep showing it until the stream catches up
+      change.awaitVersion = result.version;
+    } else {
+      pendingChanges = pendingChanges.filter(c => c !== change);
+      if (typeof result.version !== 'number') fetchQueue();
+    }
+    render();
+    return result;
+  } catch (error) {
+    // Roll back
+    pendingChanges = pendingChanges.filter(c => c !== change);
+    render();
+    throw error;
+  }
+}
+
+/**
+ * Run an operator action with optimistic UI and offer to undo it
+ * @param {string} action
+ * @param {string} childId
+ * @param {number} [index]
+ */
+async function performAction(action, childId, index) {
+  const plan = planAction(action, childId, index);
+  if (!plan) return;
+
+  hideStatus();
+  try {
+    const body = action === 'reorder' ? { childId: plan.child.id, index } : { childId: plan.child.id };
+    const result = await sendChange(plan.ops, action, body);
+    showUndo(`${ACTION_LABELS[action]} ${plan.child.name}`, {
+      actionId: result.actionId,
+      inverseOps: plan.inverseOps
+    });
+  } catch (error) {
+    console.error(`Error running ${action}:`, error);
+    showStatus('error', `Could not update ${plan.child.name}: ${error.message}`);
+  }
+}
+
+/**
+ * Call the first waiting child who hasn't been called yet
+ */
+function handleCallNext() {
+  const state = getDisplayState();
+  if (!state || state.waiting.length === 0) return;
+  const next = state.waiting.find(child => !child.calledAt) || state.waiting[0];
+  performAction('call', String(next.id));
+}
+
+/**
+ * Buttons on the child rows
+ * @param {Event} e
+ */
+function handleListClick(e) {
+  const button = e.target.closest('button[data-action]');
+  if (!button || button.disabled) return;
+
+  const { action, child } = button.dataset;
+  if (action === 'up' || action === 'down') {
+    const state = getDisplayState();
+    const position = state.waiting.findIndex(c => String(c.id) === child);
+    const index = action === 'up' ? position - 1 : position + 1;
+    if (position === -1 || index < 0 || index >= state.waiting.length) return;
+    performAction('reorder', child, index);
+    return;
+  }
+
+  if (action === 'no-show') {
+    const name = button.closest('.queue-row').querySelector('.row-name').textContent;
+    if (!confirm(`Mark ${name} as a no-show? They will be removed from the queue.`)) return;
+  }
+
+  performAction(action, child);
+}
+
+/**
+ * Reverse the last action
+ */
+async function handleUndo() {
+  const action = lastAction;
+  hideUndo();
+  if (!action) return;
+
+  try {
+    await sendChange(action.inverseOps, 'undo', { actionId: action.actionId });
+  } catch (error) {
+    console.error('Error undoing action:', error);
+    showStatus('error', `Could not undo: ${error.message}`);
+  }
+}
+
+/**
+ * Offer to undo an action for a few seconds
+ * @param {string} message
+ * @param {{actionId: string, inverseOps: Array}} action
+ */
+function showUndo(message, action) {
+  clearTimeout(undoTimerId);
+  lastAction = action.actionId ? action : null;
+  undoMessage.textContent = message;
+  undoBtn.style.display = lastAction ? 'inline-block' : 'none';
+  undoToast.style.display = 'flex';
+  undoTimerId = setTimeout(hideUndo, UNDO_WINDOW_MS);
+}
+
+/**
+ * Hide the undo toast
+ */
+function hideUndo() {
+  clearTimeout(undoTimerId);
+  lastAction = null;
+  undoToast.style.display = 'none';
+}
+
+/**
+ * Draw both lists from the display state
+ */
+function render() {
+  const state = getDisplayState();
+  if (!state) {
+    waitingCount.textContent = '0';
+    insideCount.textContent = '0';
+    waitingList.innerHTML = '<div class="empty-state">Loading...</div>';
+    insideList.innerHTML = '<div class="empty-state">Loading...</div>';
+    callNextBtn.disabled = true;
+    return;
+  }
+
+  // Rows with a request in flight can't be acted on again until it settles
+  const busy = new Set();
+  pendingChanges.filter(change => change.inFlight).forEach(change => {
+    change.ops.forEach(op => busy.add(op.id || (op.child && op.child.id)));
+  });
+
+  waitingCount.textContent = state.waiting.length;
+  insideCount.textContent = state.inside.length;
+  callNextBtn.disabled = state.waiting.length === 0;
+
+  waitingList.innerHTML = '';
+  if (state.waiting.length === 0) {
+    waitingList.innerHTML = '<div class="empty-state">No children waiting</div>';
+  }
+  state.waiting.forEach((child, index) => {
+    const actions = [
+      { action: 'call', label: child.calledAt ? '📣 Call again' : '📣 Call' },
+      { action: 'admit', label: '✅ Admit' },
+      { action: 'no-show', label: '🚫 No-show', className: 'danger' },
+      { action: 'up', label: '↑', title: 'Move up', disabled: index === 0 },
+      { action: 'down', label: '↓', title: 'Move down', disabled: index === state.waiting.length - 1 }
+    ];
+    waitingList.appendChild(createRow(child, index + 1, actions, busy.has(child.id)));
+  });
+
+  insideList.innerHTML = '';
+  if (state.inside.length === 0) {
+    insideList.innerHTML = '<div class="empty-state">No children inside</div>';
+  }
+  state.inside.forEach((child, index) => {
+    const actions = [{ action: 'release', label: '🏁 Release' }];
+    insideList.appendChild(createRow(child, index + 1, actions, busy.has(child.id)));
+  });
+}
+
+/**
+ * One child's row with its action buttons
+ * @param {Object} child
+ * @param {number} position
+ * @param {Array<{action: string, label: string, title: string, className: string, disabled: boolean}>} actions
+ * @param {boolean} busy
+ * @returns {HTMLElement}
+ */
+function createRow(child, position, actions, busy) {
+  const row = document.createElement('div');
+  row.className = busy ? 'queue-row pending' : 'queue-row';
+
+  const number = document.createElement('div');
+  number.className = 'row-number';
+  number.textContent = position;
+
+  const info = document.createElement('div');
+  info.className = 'row-info';
+  const name = document.createElement('div');
+  name.className = 'row-name';
+  name.textContent = child.name || 'Unknown Child';
+  info.appendChild(name);
+  if (child.calledAt) {
+    const called = document.createElement('div');
+    called.className = 'row-called';
+    called.textContent = `📣 Called at ${new Date(child.calledAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+    info.appendChild(called);
+  }
+
+  const buttons = document.createElement('div');
+  buttons.className = 'row-actions';
+  actions.forEach(item => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = item.className ? `row-btn ${item.className}` : 'row-btn';
+    button.dataset.action = item.action;
+    button.dataset.child = child.id;
+    button.textContent = item.label;
+    if (item.title) button.title = item.title;
+    button.disabled = busy || Boolean(item.disabled);
+    buttons.appendChild(button);
+  });
+
+  row.appendChild(number);
+  row.appendChild(info);
+  row.appendChild(buttons);
+  return row;
+}
+
+/**
+ * Show the connection state indicator
+ * @param {string} state - 'connecting', 'live', 'reconnecting' or 'polling'
+ */
+function setConnectionState(state) {
+  connectionStatus.className = `connection-status ${state}`;
+  connectionStatus.textContent = CONNECTION_STATE_LABELS[state] || '';
+}
+
+/**
+ * Show status message
+ */
+function showStatus(type, message) {
+  statusMessage.className = `status ${type}`;
+  statusMessage.textContent = message;
+  statusMessage.style.display = 'block';
+}
+
+/**
+ * Hide status message
+ */
+function hideStatus() {
+  statusMessage.style.display = 'none';
+}
+
+// Cleanup on page unload
+window.addEventListener('beforeunload', () => {
+  stopUpdates();
+});
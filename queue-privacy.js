@@ -0,0 +1,118 @@
+/*
+ * queue-privacy.js – How children are named on public queue screens
+ *
+ * The public queue endpoints never send a child's legal name. Each entry
+ * carries the display name the parent chose on the consent form
+ * (`displayName`), first name + last initial of the legal name, worked out
+ * by the backend (`shortName`), and a token. Only the staff endpoints used
+ * by the operator console include the legal name (`name`). Each zone picks
+ * one of these policies (namePolicy in the zone catalog, see zones.js; set
+ * per zone on the admin page, see admin.js):
+ *
+ *   displayName   – the display name; first name + last initial if there is none
+ *   firstInitial  – first name + last initial, e.g. "Aarav S."
+ *   token         – an animal and a number, e.g. "🦊 412", with no name at all
+ *
+ * Tokens are assigned by the backend per zone and session, unique within
+ * the zone's queue, and sent with each child as token: { animal, number }
+ * (animal is a TOKEN_AVATARS key). The parent tracker (my-queue.html) gets
+ * the same token for each of the family's queues, so parents know which one
+ * is theirs. A child without a token is shown without a number rather than
+ * one made up here. Announcements use the same policy (see
+ * queue-announcer.js).
+ */
+
+const NAME_POLICIES = {
+  displayName: 'Display name',
+  firstInitial: 'First name + last initial',
+  token: 'Animal + number (no names)'
+};
+
+const DEFAULT_NAME_POLICY = 'displayName';
+
+// Emoji shown on screen, and the word read out for it, by the backend's animal key
+const TOKEN_AVATARS = {
+  fox: ['🦊', 'Fox'], bear: ['🐻', 'Bear'], panda: ['🐼', 'Panda'], tiger: ['🐯', 'Tiger'],
+  lion: ['🦁', 'Lion'], frog: ['🐸', 'Frog'], monkey: ['🐵', 'Monkey'], rabbit: ['🐰', 'Rabbit'],
+  koala: ['🐨', 'Koala'], octopus: ['🐙', 'Octopus'], owl: ['🦉', 'Owl'], turtle: ['🐢', 'Turtle']
+};
+
+// Shown under the token policy for a child the backend sent no token for
+const MISSING_TOKEN_LABEL = '🎟️ –';
+
+/**
+ * The name policy for a zone
+ * @param {string} zoneId
+ * @returns {string} - One of the NAME_POLICIES keys
+ */
+function getZoneNamePolicy(zoneId) {
+  const zone = getZone(zoneId);
+  return zone && NAME_POLICIES[zone.namePolicy] ? zone.namePolicy : DEFAULT_NAME_POLICY;
+}
+
+/**
+ * The animal and number the backend assigned a child in this zone
+ * @param {Object} child - { token: { animal, number } }
+ * @returns {{avatar: string, avatarName: string, number: number}|null} - null without a usable token
+ */
+function getChildToken(child) {
+  const token = child.token;
+  if (!token || !TOKEN_AVATARS[token.animal] || typeof token.number !== 'number') {
+    return null;
+  }
+  const [avatar, avatarName] = TOKEN_AVATARS[token.animal];
+  return { avatar, avatarName, number: token.number };
+}
+
+/**
+ * First name plus the initial of the last, e.g. "Aarav Sharma" -> "Aarav S."
+ * @param {string} fullName
+ * @returns {string}
+ */
+function toFirstNameInitial(fullName) {
+  const words = String(fullName || '').trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return '';
+  if (words.length === 1) return words[0];
+  return `${words[0]} ${words[words.length - 1].charAt(0).toUpperCase()}.`;
+}
+
+/**
+ * The name to show for a child under a policy. Never the full legal name.
+ * A child from a saved snapshot (queue-snapshots.js) brings the label it
+ * was shown with.
+ * @param {Object} child - { id, displayName, shortName, token } or { id, token, label }
+ * @param {string} policy
+ * @returns {string}
+ */
+function formatPublicName(child, policy) {
+  if (child.label) {
+    return child.label;
+  }
+
+  if (policy === 'token') {
+    const token = getChildToken(child);
+    return token ? `${token.avatar} ${token.number}` : MISSING_TOKEN_LABEL;
+  }
+
+  const displayName = String(child.displayName || '').trim();
+  if (policy === 'displayName' && displayName) {
+    return displayName;
+  }
+
+  return String(child.shortName || '').trim() || toFirstNameInitial(displayName) || 'Unknown Child';
+}
+
+/**
+ * The name to read out for a child under a policy
+ * @param {Object} child
+ * @param {string} policy
+ * @returns {string} - Empty when there is nothing to read out (no token)
+ */
+function formatSpokenName(child, policy) {
+  if (policy === 'token') {
+    const token = getChildToken(child);
+    return token ? `${token.avatarName} ${token.number}` : '';
+  }
+  // Read the initial as a letter, not "S dot"
+  return formatPublicName(child, policy).replace(/\.$/, '');
+}
@@ -0,0 +1,100 @@
+/*
+ * queue-snapshots.js – Last known queue per zone, kept across reloads
+ *
+ * The queue display saves every good snapshot here so that a failed fetch,
+ * a dropped network or a reload of the TV doesn't blank the screen: it keeps
+ * showing the last known queue, marked with its age, until fresh data
+ * arrives (see public-queue.js).
+ *
+ * The screens sit in public areas, so no names beyond what is on screen
+ * are stored: each child is cut down to its id, token, calledAt and the
+ * label the zone's name policy gave it when saved (see queue-privacy.js),
+ * so a screen showing a saved snapshot looks the same as it did live.
+ *
+ * Stored in localStorage as { [zoneId]: { data, savedAt } }. Snapshots older
+ * than QUEUE_SNAPSHOT_MAX_AGE_MS are ignored, so a screen switched on in the
+ * morning never shows yesterday's queue.
+ */
+
+const QUEUE_SNAPSHOT_CACHE_KEY = 'queue_snapshots';
+
+const QUEUE_SNAPSHOT_MAX_AGE_MS = 6 * 60 * 60 * 1000; // 6 hours
+
+/**
+ * All saved snapshots, by zone
+ * @returns {Object}
+ */
+function readQueueSnapshotStore() {
+  try {
+    return JSON.parse(localStorage.getItem(QUEUE_SNAPSHOT_CACHE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * A snapshot with only the fields the display uses, names already formatted
+ * @param {string} zoneId
+ * @param {Object} data
+ * @returns {{version: number, capacity: number, waiting: Array, inside: Array}}
+ */
+function stripQueueSnapshot(zoneId, data) {
+  const policy = getZoneNamePolicy(zoneId);
+  const stripChild = child => ({
+    id: child.id,
+    token: child.token || null,
+    label: formatPublicName(child, policy),
+    calledAt: child.calledAt || null
+  });
+  return {
+    version: data.version,
+    capacity: data.capacity,
+    waiting: (data.waiting || []).map(stripChild),
+    inside: (data.inside || []).map(stripChild)
+  };
+}
+
+/**
+ * Remember a zone's latest good snapshot
+ * @param {string} zoneId
+ * @param {Object} data - { version, waiting, inside, ... }
+ * @returns {number} - When it was saved
+ */
+function saveQueueSnapshot(zoneId, data) {
+  const savedAt = Date.now();
+  const store = readQueueSnapshotStore();
+  store[zoneId] = { data: stripQueueSnapshot(zoneId, data), savedAt };
+
+  try {
+    localStorage.setItem(QUEUE_SNAPSHOT_CACHE_KEY, JSON.stringify(store));
+  } catch (error) {
+    // Storage full or disabled: the display still works, just not across reloads
+    console.warn('Could not save queue snapshot:', error);
+  }
+  return savedAt;
+}
+
+/**
+ * A zone's last good snapshot, if there is a recent one
+ * @param {string} zoneId
+ * @returns {{data: Object, savedAt: number}|null}
+ */
+function loadQueueSnapshot(zoneId) {
+  const snapshot = readQueueSnapshotStore()[zoneId];
+  if (!snapshot || !snapshot.data || Date.now() - snapshot.savedAt > QUEUE_SNAPSHOT_MAX_AGE_MS) {
+    return null;
+  }
+  return snapshot;
+}
+
+/**
+ * How long ago a snapshot was taken, for the screen
+ * @param {number} savedAt
+ * @returns {string} - e.g. "just now", "1 min ago", "2 h ago"
+ */
+function formatSnapshotAge(savedAt) {
+  const minutes = Math.floor((Date.now() - savedAt) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  return `${Math.floor(minutes / 60)} h ago`;
+}
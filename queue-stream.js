@@ -0,0 +1,263 @@
+/**
+ * queue-stream.js – Push updates for the queue display
+ *
+ * Instead of polling every few seconds, the queue display keeps one
+ * Server-Sent Events connection open per zone:
+ *
+ *   GET /api/v1/public/queue/stream?zoneId={zoneId}   (text/event-stream)
+ *   GET /api/v1/queue/stream?zoneId={zoneId}          (same, staff only)
+ *
+ *   event: snapshot   data: { version, waiting: [child], inside: [child] }
+ *   event: diff       data: { baseVersion, version, ops: [op] }
+ *
+ * A child is { id, displayName, shortName, token, calledAt? } (see
+ * queue-privacy.js); the staff stream, used by the operator console, adds
+ * the legal name. Each op is one of
+ *
+ *   { op: 'add',    list: 'waiting'|'inside', child, index }
+ *   { op: 'remove', list: 'waiting'|'inside', id }
+ *   { op: 'move',   from: 'waiting'|'inside', to: 'waiting'|'inside', id, index }
+ *   { op: 'update', list: 'waiting'|'inside', child }   (same position, new fields)
+ *
+ * The server sends a snapshot on every (re)connect, then diffs. A diff whose
+ * baseVersion doesn't match our version means we missed something, so the
+ * caller reconnects to get a fresh snapshot.
+ *
+ * The stream is read with fetch() rather than EventSource so the staff or
+ * display credential travels in the Authorization header (see authFetch in
+ * auth.js) instead of the URL. Dropped connections are retried with
+ * exponential backoff; public-queue.js polls in the meantime.
+ *
+ * For local testing run `node mock/queue-stream-server.js` and open
+ * public-queue.html?zone=zone-1&api=http://localhost:8787
+ */
+
+const QUEUE_STREAM_RECONNECT_MIN_MS = 1000;
+const QUEUE_STREAM_RECONNECT_MAX_MS = 30000;
+
+// The server sends a keepalive comment every 15s; silence for longer means a dead connection
+const QUEUE_STREAM_IDLE_TIMEOUT_MS = 45000;
+
+// A connection attempt that hasn't produced response headers by then is given up
+const QUEUE_STREAM_CONNECT_TIMEOUT_MS = 10000;
+
+/**
+ * Whether this browser can read a streamed fetch response
+ * @returns {boolean}
+ */
+function isQueueStreamSupported() {
+  return typeof window.ReadableStream === 'function' && typeof window.TextDecoder === 'function';
+}
+
+/**
+ * Open a self-reconnecting event stream
+ * @param {string} url
+ * @param {Object} handlers
+ * @param {Function} handlers.onSnapshot - Called with each snapshot payload
+ * @param {Function} handlers.onDiff - Called with each diff payload
+ * @param {Function} [handlers.onStateChange] - Called with 'connecting', 'live', 'reconnecting' or 'closed'
+ * @returns {{close: Function, restart: Function}}
+ */
+function openQueueStream(url, handlers) {
+  let controller = null;
+  let closed = false;
+  let attempt = 0;
+  let reconnectTimerId = null;
+  let idleTimerId = null;
+  let lastEventId = null;
+  let restartRequested = false;
+  let inFlight = false;
+
+  const setState = (state) => {
+    if (handlers.onStateChange) handlers.onStateChange(state);
+  };
+
+  const resetIdleTimer = (timeoutMs = QUEUE_STREAM_IDLE_TIMEOUT_MS) => {
+    clearTimeout(idleTimerId);
+    idleTimerId = setTimeout(() => {
+      console.warn('Queue stream went quiet, reconnecting');
+      if (controller) controller.abort();
+    }, timeoutMs);
+  };
+
+  const dispatch = (event) => {
+    if (event.id) lastEventId = event.id;
+    if (!event.data) return;
+
+    let payload;
+    try {
+      payload = JSON.parse(event.data);
+    } catch (error) {
+      console.warn('Ignoring malformed queue event:', event.data);
+      return;
+    }
+
+    if (event.type === 'snapshot') {
+      handlers.onSnapshot(payload);
+    } else if (event.type === 'diff') {
+      handlers.onDiff(payload);
+    }
+  };
+
+  const scheduleReconnect = () => {
+    if (closed) return;
+    const delay = Math.min(
+      QUEUE_STREAM_RECONNECT_MAX_MS,
+      QUEUE_STREAM_RECONNECT_MIN_MS * Math.pow(2, attempt)
+    );
+    attempt += 1;
+    setState('reconnecting');
+    reconnectTimerId = setTimeout(connect, delay);
+  };
+
+  async function connect() {
+    if (closed) return;
+    controller = new AbortController();
+    inFlight = true;
+    setState(attempt === 0 ? 'connecting' : 'reconnecting');
+
+    try {
+      const headers = { Accept: 'text/event-stream' };
+      if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+
+      // A request that hangs before the headers would otherwise stay 'connecting' forever
+      resetIdleTimer(QUEUE_STREAM_CONNECT_TIMEOUT_MS);
+      const response = await authFetch(url, {
+        headers,
+        cache: 'no-store',
+        signal: controller.signal
+      });
+
+      if (!response.ok || !response.body) {
+        throw new Error(`Queue stream returned ${response.status}`);
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let event = { type: 'message', data: '', id: null };
+      let live = false;
+      resetIdleTimer();
+
+      // Minimal text/event-stream parser: fields accumulate until a blank line
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        resetIdleTimer();
+
+        if (!live) {
+          live = true;
+          attempt = 0;
+          setState('live');
+        }
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split(/\r\n|\r|\n/);
+        buffer = lines.pop();
+
+        lines.forEach(line => {
+          if (line === '') {
+            dispatch(event);
+            event = { type: 'message', data: '', id: null };
+          } else if (line.startsWith(':')) {
+            // keepalive comment
+          } else {
+            const colon = line.indexOf(':');
+            const field = colon === -1 ? line : line.slice(0, colon);
+            const fieldValue = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+            if (field === 'event') event.type = fieldValue;
+            else if (field === 'data') event.data += (event.data ? '\n' : '') + fieldValue;
+            else if (field === 'id') event.id = fieldValue;
+          }
+        });
+      }
+
+      throw new Error('Queue stream ended');
+    } catch (error) {
+      inFlight = false;
+      clearTimeout(idleTimerId);
+      if (closed) return;
+      if (restartRequested) {
+        restartRequested = false;
+        connect();
+        return;
+      }
+      console.warn('Queue stream error:', error);
+      scheduleReconnect();
+    }
+  }
+
+  connect();
+
+  return {
+    close() {
+      closed = true;
+      clearTimeout(reconnectTimerId);
+      clearTimeout(idleTimerId);
+      if (controller) controller.abort();
+      setState('closed');
+    },
+
+    // Drop the connection and reconnect immediately for a fresh snapshot
+    restart() {
+      if (closed) return;
+      clearTimeout(reconnectTimerId);
+      lastEventId = null;
+      attempt = 0;
+      if (inFlight) {
+        // the aborted request's error handler reconnects straight away
+        restartRequested = true;
+        controller.abort();
+      } else {
+        connect();
+      }
+    }
+  };
+}
+
+/**
+ * Apply a diff to the last known queue
+ * @param {{version: number, waiting: Array, inside: Array}} queue
+ * @param {{baseVersion: number, version: number, ops: Array}} diff
+ * @returns {Object|null} - The updated queue, or null if the diff doesn't follow on from it
+ */
+function applyQueueDiff(queue, diff) {
+  if (!queue || diff.baseVersion !== queue.version) {
+    return null;
+  }
+
+  const lists = {
+    waiting: (queue.waiting || []).slice(),
+    inside: (queue.inside || []).slice()
+  };
+  const insertAt = (list, child, index) => {
+    const at = typeof index === 'number' ? Math.min(Math.max(index, 0), list.length) : list.length;
+    list.splice(at, 0, child);
+  };
+  const takeOut = (list, id) => {
+    const at = list.findIndex(child => child.id === id);
+    return at === -1 ? null : list.splice(at, 1)[0];
+  };
+
+  for (const op of diff.ops || []) {
+    if (op.op === 'add' && lists[op.list]) {
+      takeOut(lists[op.list], op.child.id);
+      insertAt(lists[op.list], op.child, op.index);
+    } else if (op.op === 'remove' && lists[op.list]) {
+      takeOut(lists[op.list], op.id);
+    } else if (op.op === 'update' && lists[op.list]) {
+      const at = lists[op.list].findIndex(child => child.id === op.child.id);
+      if (at === -1) return null;
+      lists[op.list][at] = op.child;
+    } else if (op.op === 'move' && lists[op.from] && lists[op.to]) {
+      const child = takeOut(lists[op.from], op.id);
+      if (!child) return null;
+      insertAt(lists[op.to], child, op.index);
+    } else {
+      console.warn('Unknown queue diff op:', op);
+      return null;
+    }
+  }
+
+  return { ...queue, version: diff.version, waiting: lists.waiting, inside: lists.inside };
+}
@@ -0,0 +1,189 @@
+/*
+ * zones.js – Zone catalog shared by the staff and display pages
+ *
+ * Zone names used to be typed into each page's markup, and the labels
+ * drifted from the IDs (zone-3 is "Zone 2" on the floor). The backend now
+ * describes every zone:
+ *
+ *   GET /api/v1/public/zones
+ *   { zones: [{ id, name, color, icon, capacity, namePolicy,
+ *               openingHours: { open: 'HH:MM', close: 'HH:MM' } }] }
+ *
+ * in the order they should be listed. namePolicy decides how children are
+ * named on that zone's screens (see queue-privacy.js). The catalog is cached
+ * in localStorage so pages open instantly and keep working offline; when it
+ * has never been fetched, FALLBACK_ZONES reproduces the list the pages used
+ * to hardcode.
+ *
+ * Pages load it with loadZoneCatalog() and then use the synchronous helpers
+ * (getZone, getZoneName, ...) wherever they show a zone.
+ */
+
+const ZONES_API_URL = 'https://www.littleengineersplayground.com/api/v1/public/zones';
+
+const ZONE_CATALOG_CACHE_KEY = 'zone_catalog';
+
+// Pseudo zone for a display that shows every zone (the entrance wall)
+const ALL_ZONES_ID = 'all';
+
+// Zones rarely change; refetch at most this often
+const ZONE_CATALOG_MAX_AGE_MS = 60 * 60 * 1000;
+
+// The list as it was hardcoded, labels included, for first runs without the API
+const FALLBACK_ZONES = [
+  { id: 'zone-1', name: 'Zone 1', color: '#eab308', icon: '🏗️', capacity: null, namePolicy: null, openingHours: null },
+  { id: 'zone-3', name: 'Zone 2', color: '#f59e0b', icon: '🚧', capacity: null, namePolicy: null, openingHours: null },
+  { id: 'zone-2', name: 'Zone 3', color: '#10b981', icon: '🧱', capacity: null, namePolicy: null, openingHours: null },
+  { id: 'zone-5', name: 'Zone 4', color: '#3b82f6', icon: '🚜', capacity: null, namePolicy: null, openingHours: null },
+  { id: 'zone-4', name: 'Zone 5', color: '#ef4444', icon: '🔧', capacity: null, namePolicy: null, openingHours: null }
+];
+
+let zoneCatalog = null;
+
+/**
+ * Cached catalog, if any
+ * @returns {{zones: Array, fetchedAt: number}|null}
+ */
+function readCachedZoneCatalog() {
+  try {
+    const cached = JSON.parse(localStorage.getItem(ZONE_CATALOG_CACHE_KEY));
+    return cached && Array.isArray(cached.zones) && cached.zones.length > 0 ? cached : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Fill in fields older or partial responses may leave out
+ * @param {Object} zone
+ * @returns {Object}
+ */
+function normalizeZone(zone) {
+  return {
+    id: zone.id,
+    name: zone.name || zone.id,
+    // Colours end up in style attributes, so only plain hex values are accepted
+    color: /^#[0-9a-f]{3,8}$/i.test(zone.color || '') ? zone.color : '#eab308',
+    icon: zone.icon || '',
+    capacity: zone.capacity > 0 ? zone.capacity : null,
+    namePolicy: zone.namePolicy || null,
+    openingHours: zone.openingHours && zone.openingHours.open && zone.openingHours.close
+      ? { open: zone.openingHours.open, close: zone.openingHours.close }
+      : null
+  };
+}
+
+/**
+ * Load the zone catalog: fresh cache, then the API, then stale cache, then the fallback
+ * @param {string} [url] - Override for local testing
+ * @returns {Promise<Array>}
+ */
+async function loadZoneCatalog(url = ZONES_API_URL) {
+  const cached = readCachedZoneCatalog();
+  if (cached && Date.now() - cached.fetchedAt < ZONE_CATALOG_MAX_AGE_MS) {
+    zoneCatalog = cached.zones;
+    return zoneCatalog;
+  }
+
+  try {
+    // The zones endpoint is public; staff pages send their session anyway
+    const response = await (typeof authFetch === 'function' ? authFetch(url) : fetch(url));
+    if (!response.ok) {
+      throw new Error(`Zones API returned ${response.status}`);
+    }
+    const data = await response.json();
+    const zones = (data.zones || []).filter(zone => zone && zone.id).map(normalizeZone);
+    if (zones.length === 0) {
+      throw new Error('Zones API returned no zones');
+    }
+    zoneCatalog = zones;
+    localStorage.setItem(ZONE_CATALOG_CACHE_KEY, JSON.stringify({ zones, fetchedAt: Date.now() }));
+  } catch (error) {
+    console.warn('Could not load zone catalog, using saved list:', error);
+    zoneCatalog = cached ? cached.zones : FALLBACK_ZONES;
+  }
+
+  return zoneCatalog;
+}
+
+/**
+ * Zones in display order. Before loadZoneCatalog has finished this is the
+ * saved list, or the fallback on a device that has never fetched one.
+ * @returns {Array}
+ */
+function getZones() {
+  if (zoneCatalog) {
+    return zoneCatalog;
+  }
+  const cached = readCachedZoneCatalog();
+  return cached ? cached.zones : FALLBACK_ZONES;
+}
+
+/**
+ * @param {string} zoneId
+ * @returns {Object|null}
+ */
+function getZone(zoneId) {
+  return getZones().find(zone => zone.id === zoneId) || null;
+}
+
+/**
+ * Display name for a zone, e.g. for API rows that only carry an ID
+ * @param {string} zoneId
+ * @param {string} [fallbackName] - Shown when the zone isn't in the catalog
+ * @returns {string}
+ */
+function getZoneName(zoneId, fallbackName) {
+  const zone = getZone(zoneId);
+  return zone ? zone.name : (fallbackName || zoneId);
+}
+
+/**
+ * Apply a change saved on the backend to the catalog and its cache, so this
+ * page shows it without waiting for the next fetch
+ * @param {string} zoneId
+ * @param {Object} changes - e.g. { namePolicy: 'token' }
+ */
+function updateCachedZone(zoneId, changes) {
+  zoneCatalog = getZones().map(zone => (zone.id === zoneId ? { ...zone, ...changes } : zone));
+  const cached = readCachedZoneCatalog();
+  localStorage.setItem(ZONE_CATALOG_CACHE_KEY, JSON.stringify({
+    zones: zoneCatalog,
+    fetchedAt: cached ? cached.fetchedAt : 0
+  }));
+}
+
+/**
+ * Whether a zone is within its opening hours. Zones without hours count as open.
+ * @param {Object} zone
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isZoneOpen(zone, now = new Date()) {
+  if (!zone || !zone.openingHours) {
+    return true;
+  }
+  const toMinutes = value => {
+    const [hours, minutes] = value.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+  const current = now.getHours() * 60 + now.getMinutes();
+  return current >= toMinutes(zone.openingHours.open) && current < toMinutes(zone.openingHours.close);
+}
+
+/**
+ * Replace a <select>'s options with the catalog, keeping the current choice
+ * @param {HTMLSelectElement} select
+ * @param {Array} [extraOptions] - [{ value, label }] appended after the zones
+ */
+function populateZoneSelect(select, extraOptions = []) {
+  const previous = select.value;
+  select.innerHTML = '';
+  getZones().forEach(zone => {
+    select.appendChild(new Option(zone.icon ? `${zone.icon} ${zone.name}` : zone.name, zone.id));
+  });
+  extraOptions.forEach(option => select.appendChild(new Option(option.label, option.value)));
+  if (previous && Array.from(select.options).some(option => option.value === previous)) {
+    select.value = previous;
+  }
+}